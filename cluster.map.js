@@ -0,0 +1,330 @@
+/**
+ * Agrupador de marcadores para OpenStreetMap (clustering sin plugins externos).
+ * Recibe marcadores Leaflet ya creados (los de addMarkers) y decide cuáles mostrar:
+ * en cada zoom los agrupa por celdas de cuadrícula ('grid') o por distancia ('distance')
+ * y pinta una burbuja con el conteo. Al hacer clic en una burbuja se acerca el mapa;
+ * si sus puntos coinciden (o no se puede acercar más) se despliegan en abanico (spiderfy).
+ *
+ * Lo usa OpenStreetMap.addMarkers({ cluster: true }); no es necesario instanciarlo a mano.
+ *
+ * @example
+ * map.addMarkers(clientes, { cluster: { mode: 'distance', radius: 80 } });
+ */
+class MarkerCluster {
+    static DEFAULTS = {
+        mode: 'grid',           // 'grid' | 'distance'
+        radius: 60,             // tamaño de celda / distancia máxima en píxeles
+        disableAtZoom: null,    // a partir de este zoom se muestran todos los marcadores
+        spiderfy: true,
+        spiderfyDistance: 30,   // separación en píxeles del abanico
+        viewportPadding: 0.5,   // fracción extra del viewport que se renderiza
+        layer: null,            // capa donde se pintan marcadores y burbujas (p. ej. un L.layerGroup); por defecto el mapa
+    };
+
+    // ── Estado interno ─────────────────────────────────
+    #map = null;
+    #layer = null;
+    #markers = new Set();
+    #visible = new Set();
+    #bubbles = [];
+    #cache = new Map();
+    #frame = null;
+    #spider = null;
+
+    /**
+     * @param {L.Map}  map       - Mapa Leaflet donde se renderiza.
+     * @param {Object} [options] - Ver MarkerCluster.DEFAULTS.
+     */
+    constructor(map, options = {}) {
+        this.#map = map;
+        this.options = { ...MarkerCluster.DEFAULTS, ...options };
+        this.#layer = this.options.layer ?? map;
+
+        this.#map.on('zoomend moveend', this.#scheduleRender, this);
+        this.#map.on('zoomstart click', this.#unspiderfy, this);
+    }
+
+    /**
+     * Agrega marcadores al agrupador (no deben estar en el mapa).
+     * @param {L.Marker[]} markers
+     * @returns {this}
+     */
+    addMarkers(markers) {
+        markers.forEach(marker => {
+            this.#markers.add(marker);
+            marker.on('move', this.#handleMarkerMove, this);
+        });
+        this.#invalidate();
+        return this;
+    }
+
+    /**
+     * Indica si el marcador está gestionado por el agrupador.
+     * @param {L.Marker} marker
+     * @returns {boolean}
+     */
+    has(marker) {
+        return this.#markers.has(marker);
+    }
+
+    /**
+     * Quita un marcador del agrupador y del mapa.
+     * @param {L.Marker} marker
+     * @returns {this}
+     */
+    removeMarker(marker) {
+        if (!this.#markers.has(marker)) return this;
+
+        marker.off('move', this.#handleMarkerMove, this);
+        this.#markers.delete(marker);
+        if (this.#visible.delete(marker)) this.#layer.removeLayer(marker);
+        this.#invalidate();
+        return this;
+    }
+
+    /**
+     * Quita todos los marcadores y burbujas.
+     * @returns {this}
+     */
+    clear() {
+        this.#unspiderfy();
+        this.#markers.forEach(marker => marker.off('move', this.#handleMarkerMove, this));
+        this.#visible.forEach(marker => this.#layer.removeLayer(marker));
+        this.#bubbles.forEach(bubble => this.#layer.removeLayer(bubble));
+        this.#markers.clear();
+        this.#visible.clear();
+        this.#bubbles = [];
+        this.#cache.clear();
+        return this;
+    }
+
+    /**
+     * Desconecta el agrupador del mapa.
+     */
+    destroy() {
+        this.clear();
+        cancelAnimationFrame(this.#frame);
+        this.#map.off('zoomend moveend', this.#scheduleRender, this);
+        this.#map.off('zoomstart click', this.#unspiderfy, this);
+    }
+
+    /**
+     * Agrupa los marcadores para un nivel de zoom.
+     * @param {number} zoom
+     * @returns {Array<{markers: L.Marker[], center: L.LatLng}>}
+     */
+    getClusters(zoom) {
+        if (this.#cache.has(zoom)) return this.#cache.get(zoom);
+
+        const { mode, radius, disableAtZoom } = this.options;
+        const points = [...this.#markers].map(marker => ({
+            marker,
+            point: this.#map.project(marker.getLatLng(), zoom),
+        }));
+
+        const clusters = disableAtZoom != null && zoom >= disableAtZoom
+            ? points.map(({ marker }) => ({ markers: [marker] }))
+            : mode === 'distance'
+                ? MarkerCluster.#clusterByDistance(points, radius)
+                : MarkerCluster.#clusterByGrid(points, radius);
+
+        clusters.forEach(cluster => {
+            cluster.center = MarkerCluster.#centroid(cluster.markers);
+        });
+
+        this.#cache.set(zoom, clusters);
+        return clusters;
+    }
+
+    // ── Renderizado ────────────────────────────────────
+
+    #invalidate() {
+        this.#cache.clear();
+        this.#scheduleRender();
+    }
+
+    /** Agrupa varios cambios seguidos en un solo renderizado por frame. */
+    #scheduleRender() {
+        if (this.#frame) return;
+
+        this.#frame = requestAnimationFrame(() => {
+            this.#frame = null;
+            this.#render();
+        });
+    }
+
+    #render() {
+        if (this.#spider) return;
+
+        const bounds = this.#map.getBounds().pad(this.options.viewportPadding);
+        const clusters = this.getClusters(this.#map.getZoom())
+            .filter(({ center }) => bounds.contains(center));
+
+        const nextVisible = new Set();
+        this.#bubbles.forEach(bubble => this.#layer.removeLayer(bubble));
+        this.#bubbles = [];
+
+        clusters.forEach(cluster => {
+            if (cluster.markers.length === 1) {
+                nextVisible.add(cluster.markers[0]);
+            } else {
+                this.#bubbles.push(this.#createBubble(cluster).addTo(this.#layer));
+            }
+        });
+
+        this.#visible.forEach(marker => {
+            if (!nextVisible.has(marker)) this.#layer.removeLayer(marker);
+        });
+        nextVisible.forEach(marker => {
+            if (!this.#visible.has(marker)) marker.addTo(this.#layer);
+        });
+        this.#visible = nextVisible;
+    }
+
+    /** Crea la burbuja con el conteo de un grupo. */
+    #createBubble(cluster) {
+        const count = cluster.markers.length;
+        const size = count < 10 ? 30 : count < 100 ? 38 : count < 1000 ? 46 : 54;
+
+        const bubble = L.marker(cluster.center, {
+            icon: L.divIcon({
+                html: `<div class="map-cluster"><span>${count}</span></div>`,
+                className: `map-cluster-icon map-cluster-${size}`,
+                iconSize: [size, size],
+            }),
+        });
+
+        bubble.on('click', () => this.#handleBubbleClick(cluster));
+        return bubble;
+    }
+
+    /** Acerca el mapa al grupo o lo despliega si ya no puede separarse con zoom. */
+    #handleBubbleClick(cluster) {
+        const bounds = L.latLngBounds(cluster.markers.map(marker => marker.getLatLng()));
+        const zoom = this.#map.getZoom();
+        const targetZoom = this.#map.getBoundsZoom(bounds);
+        const atMaxZoom = zoom >= this.#map.getMaxZoom();
+        const coincident = bounds.getNorthEast().equals(bounds.getSouthWest());
+
+        if (this.options.spiderfy && (coincident || atMaxZoom || targetZoom <= zoom)) {
+            this.#spiderfy(cluster);
+        } else {
+            this.#map.fitBounds(bounds, { padding: [30, 30] });
+        }
+    }
+
+    // ── Spiderfy ───────────────────────────────────────
+
+    /** Muestra los marcadores del grupo en círculo alrededor de su centro, unidos con líneas. */
+    #spiderfy(cluster) {
+        this.#unspiderfy();
+
+        const { spiderfyDistance } = this.options;
+        const count = cluster.markers.length;
+        const centerPoint = this.#map.latLngToLayerPoint(cluster.center);
+        const radius = Math.max(spiderfyDistance, (spiderfyDistance * count) / (2 * Math.PI));
+
+        const legs = [];
+        const originals = new Map();
+        this.#spider = { legs, originals };
+
+        this.#bubbles.forEach(bubble => {
+            if (bubble.getLatLng().equals(cluster.center)) bubble.setOpacity(0.3);
+        });
+
+        cluster.markers.forEach((marker, index) => {
+            const angle = (2 * Math.PI * index) / count;
+            const position = this.#map.layerPointToLatLng(centerPoint.add([
+                radius * Math.cos(angle),
+                radius * Math.sin(angle),
+            ]));
+
+            originals.set(marker, marker.getLatLng());
+            marker.setLatLng(position).addTo(this.#layer);
+            legs.push(L.polyline([cluster.center, position], {
+                color: '#2C6B94',
+                weight: 1.5,
+                opacity: 0.6,
+                interactive: false,
+            }).addTo(this.#layer));
+        });
+    }
+
+    /** Devuelve los marcadores desplegados a su posición real. */
+    #unspiderfy() {
+        if (!this.#spider) return;
+
+        const { legs, originals } = this.#spider;
+        this.#spider = null;
+
+        legs.forEach(leg => this.#layer.removeLayer(leg));
+        originals.forEach((latlng, marker) => {
+            marker.setLatLng(latlng);
+            if (!this.#visible.has(marker)) this.#layer.removeLayer(marker);
+        });
+        this.#bubbles.forEach(bubble => bubble.setOpacity(1));
+        this.#scheduleRender();
+    }
+
+    #handleMarkerMove() {
+        // Los movimientos del abanico no cambian la posición real del marcador
+        if (!this.#spider) this.#invalidate();
+    }
+
+    // ── Algoritmos de agrupación ───────────────────────
+
+    /** Agrupa por celdas cuadradas de `size` píxeles. */
+    static #clusterByGrid(points, size) {
+        const cells = new Map();
+        points.forEach(({ marker, point }) => {
+            const key = `${Math.floor(point.x / size)}:${Math.floor(point.y / size)}`;
+            if (!cells.has(key)) cells.set(key, { markers: [] });
+            cells.get(key).markers.push(marker);
+        });
+        return [...cells.values()];
+    }
+
+    /**
+     * Agrupa de forma voraz: cada punto se une al primer grupo cuyo punto semilla
+     * esté a menos de `radius` píxeles. Usa una cuadrícula auxiliar para buscar solo vecinos.
+     */
+    static #clusterByDistance(points, radius) {
+        const clusters = [];
+        const grid = new Map();
+        const cellOf = ({ x, y }) => [Math.floor(x / radius), Math.floor(y / radius)];
+
+        points.forEach(({ marker, point }) => {
+            const [cx, cy] = cellOf(point);
+            let target = null;
+
+            for (let dx = -1; dx <= 1 && !target; dx++) {
+                for (let dy = -1; dy <= 1 && !target; dy++) {
+                    target = (grid.get(`${cx + dx}:${cy + dy}`) ?? [])
+                        .find(cluster => cluster.seed.distanceTo(point) <= radius) ?? null;
+                }
+            }
+
+            if (target) {
+                target.markers.push(marker);
+                return;
+            }
+
+            const cluster = { seed: point, markers: [marker] };
+            clusters.push(cluster);
+            const key = `${cx}:${cy}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(cluster);
+        });
+
+        return clusters.map(({ markers }) => ({ markers }));
+    }
+
+    /** Promedio de las posiciones de los marcadores. */
+    static #centroid(markers) {
+        const sum = markers.reduce((acc, marker) => {
+            const { lat, lng } = marker.getLatLng();
+            return { lat: acc.lat + lat, lng: acc.lng + lng };
+        }, { lat: 0, lng: 0 });
+        return L.latLng(sum.lat / markers.length, sum.lng / markers.length);
+    }
+}
@@ -0,0 +1,407 @@
+/**
+ * Lectura y formato de coordenadas para OpenStreetMap: grados decimales, grados/minutos/
+ * segundos (DMS), UTM, MGRS y plus codes (Open Location Code). Todo sobre WGS84.
+ *
+ * Con este archivo cargado, initMap, setView, placeSelector y addMarker aceptan una
+ * coordenada en cualquiera de estos formatos, y la selección incluye dms, utm, mgrs y plusCode.
+ *
+ * @example
+ * Coordinates.parse('10°29\'50.3"N 66°54\'13.0"W');   // { lat: 10.4973, lng: -66.9036, format: 'dms' }
+ * Coordinates.parse('19P 729446 1161162');             // { ..., format: 'utm' }
+ * Coordinates.format(10.4973, -66.9036).mgrs;          // '19P GM 29446 61161'
+ */
+class Coordinates {
+    // Elipsoide WGS84 y factor de escala UTM
+    static #A = 6378137;
+    static #F = 1 / 298.257223563;
+    static #K0 = 0.9996;
+
+    static #BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+    static #MGRS_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+    static #MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+    // Northing mínimo (m) de cada banda, para ubicar la fila de 100 km de un MGRS
+    static #BAND_MIN_NORTHING = {
+        C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000, H: 5500000, J: 6400000,
+        K: 7300000, L: 8200000, M: 9100000, N: 0, P: 800000, Q: 1700000, R: 2600000,
+        S: 3500000, T: 4400000, U: 5300000, V: 6200000, W: 7000000, X: 7900000,
+    };
+    static #PLUS_ALPHABET = '23456789CFGHJMPQRVWX';
+
+    /**
+     * Lee una coordenada en cualquier formato soportado.
+     * - Decimal: '10.4973, -66.9036', [10.4973, -66.9036] o { lat, lng }.
+     * - DMS / grados y minutos: '10°29\'50.2"N 66°54\'13.0"W', 'N 10 29 50 W 66 54 13', '10°29.837\'N, 66°54.217\'O'.
+     * - UTM con banda de latitud: '19P 729446 1161162'.
+     * - MGRS: '19P GM 29446 61161' o '19PGM2944661161'.
+     * - Plus code: 'F3WW+WH' (corto, relativo a options.reference) o '772MF3WW+WH'.
+     * @param {string|Array|Object} input
+     * @param {Object} [options]
+     * @param {{lat: number, lng: number}} [options.reference] - Punto de referencia para plus codes cortos.
+     * @returns {{lat: number, lng: number, format: string}|null} null si no se reconoce.
+     */
+    static parse(input, { reference } = {}) {
+        if (Array.isArray(input)) return Coordinates.#validate(Number(input[0]), Number(input[1]), 'decimal');
+        if (input && typeof input === 'object') return Coordinates.#validate(Number(input.lat), Number(input.lng ?? input.lon), 'decimal');
+        if (typeof input !== 'string') return null;
+
+        const text = input.trim().toUpperCase();
+        return Coordinates.#parsePlusCode(text, reference)
+            ?? Coordinates.#parseMGRS(text)
+            ?? Coordinates.#parseUTM(text)
+            ?? Coordinates.#parseDegrees(text);
+    }
+
+    /**
+     * Todos los formatos de un punto.
+     * @param {number} lat
+     * @param {number} lng
+     * @returns {{decimal: string, dms: string, utm: string|null, mgrs: string|null, plusCode: string}}
+     *   utm y mgrs son null fuera de su rango (latitudes menores a -80° o mayores a 84°).
+     */
+    static format(lat, lng) {
+        const utm = Coordinates.toUTM(lat, lng);
+        return {
+            decimal: `${lat.toFixed(6)}, ${lng.toFixed(6)}`,
+            dms: Coordinates.toDMS(lat, lng),
+            // Se trunca al metro, igual que MGRS
+            utm: utm && `${utm.zone}${utm.band} ${Math.floor(utm.easting)} ${Math.floor(utm.northing)}`,
+            mgrs: Coordinates.toMGRS(lat, lng),
+            plusCode: Coordinates.toPlusCode(lat, lng),
+        };
+    }
+
+    /**
+     * Grados, minutos y segundos: 10°29'50.2"N 66°54'13.0"W.
+     * @param {number} lat
+     * @param {number} lng
+     * @returns {string}
+     */
+    static toDMS(lat, lng) {
+        const part = (value, positive, negative) => {
+            // Se redondea en décimas de segundo para que 59.96" no quede como 60.0"
+            const tenths = Math.round(Math.abs(value) * 36000);
+            const degrees = Math.floor(tenths / 36000);
+            const minutes = Math.floor((tenths % 36000) / 600);
+            const seconds = (tenths % 600) / 10;
+            return `${degrees}°${minutes}'${seconds.toFixed(1)}"${value < 0 ? negative : positive}`;
+        };
+        return `${part(lat, 'N', 'S')} ${part(lng, 'E', 'W')}`;
+    }
+
+    /**
+     * Convierte a UTM (con las excepciones de zona de Noruega y Svalbard).
+     * @param {number} lat
+     * @param {number} lng
+     * @returns {{zone: number, band: string, easting: number, northing: number}|null}
+     */
+    static toUTM(lat, lng) {
+        if (lat < -80 || lat > 84) return null;
+
+        const zone = Coordinates.#utmZone(lat, lng);
+        const band = Coordinates.#BANDS[Math.min(Math.floor((lat + 80) / 8), 19)];
+        const { e2, ep2 } = Coordinates.#eccentricity();
+        const toRad = (deg) => (deg * Math.PI) / 180;
+
+        const phi = toRad(lat);
+        const lambda0 = toRad((zone - 1) * 6 - 180 + 3);
+        const N = Coordinates.#A / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+        const T = Math.tan(phi) ** 2;
+        const C = ep2 * Math.cos(phi) ** 2;
+        const A = Math.cos(phi) * (toRad(lng) - lambda0);
+        const M = Coordinates.#meridianArc(phi);
+
+        const easting = Coordinates.#K0 * N * (A + (1 - T + C) * A ** 3 / 6
+            + (5 - 18 * T + T ** 2 + 72 * C - 58 * ep2) * A ** 5 / 120) + 500000;
+        let northing = Coordinates.#K0 * (M + N * Math.tan(phi) * (A ** 2 / 2
+            + (5 - T + 9 * C + 4 * C ** 2) * A ** 4 / 24
+            + (61 - 58 * T + T ** 2 + 600 * C - 330 * ep2) * A ** 6 / 720));
+        if (lat < 0) northing += 10000000;
+
+        return { zone, band, easting, northing };
+    }
+
+    /**
+     * Convierte de UTM a lat/lng.
+     * @param {number} zone     - 1 a 60.
+     * @param {string} band     - Letra de banda de latitud (C–X); N en adelante es hemisferio norte.
+     * @param {number} easting
+     * @param {number} northing
+     * @returns {{lat: number, lng: number}}
+     */
+    static fromUTM(zone, band, easting, northing) {
+        const { e2, ep2 } = Coordinates.#eccentricity();
+        const north = band.toUpperCase() >= 'N';
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+        const M = (north ? northing : northing - 10000000) / Coordinates.#K0;
+        const mu = M / (Coordinates.#A * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+        const phi1 = mu
+            + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+            + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+            + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+            + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+        const N1 = Coordinates.#A / Math.sqrt(1 - e2 * Math.sin(phi1) ** 2);
+        const T1 = Math.tan(phi1) ** 2;
+        const C1 = ep2 * Math.cos(phi1) ** 2;
+        const R1 = Coordinates.#A * (1 - e2) / (1 - e2 * Math.sin(phi1) ** 2) ** 1.5;
+        const D = (easting - 500000) / (N1 * Coordinates.#K0);
+
+        const lat = phi1 - (N1 * Math.tan(phi1) / R1) * (D ** 2 / 2
+            - (5 + 3 * T1 + 10 * C1 - 4 * C1 ** 2 - 9 * ep2) * D ** 4 / 24
+            + (61 + 90 * T1 + 298 * C1 + 45 * T1 ** 2 - 252 * ep2 - 3 * C1 ** 2) * D ** 6 / 720);
+        const lng = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180 + (D
+            - (1 + 2 * T1 + C1) * D ** 3 / 6
+            + (5 - 2 * C1 + 28 * T1 - 3 * C1 ** 2 + 8 * ep2 + 24 * T1 ** 2) * D ** 5 / 120) / Math.cos(phi1);
+
+        return { lat: (lat * 180) / Math.PI, lng: (lng * 180) / Math.PI };
+    }
+
+    /**
+     * MGRS con precisión de 1 m: '19P GM 29446 61161'.
+     * @param {number} lat
+     * @param {number} lng
+     * @param {number} [digits=5] - Dígitos por eje (5 = 1 m, 4 = 10 m, ...).
+     * @returns {string|null} null fuera del rango UTM.
+     */
+    static toMGRS(lat, lng, digits = 5) {
+        const utm = Coordinates.toUTM(lat, lng);
+        if (!utm) return null;
+
+        const { zone, band, easting, northing } = utm;
+        const column = Coordinates.#MGRS_COLUMNS[(zone - 1) % 3][Math.floor(easting / 100000) - 1];
+        const row = Coordinates.#MGRS_ROWS[(Math.floor(northing / 100000) + (zone % 2 === 0 ? 5 : 0)) % 20];
+        const digitsOf = (value) => String(Math.floor((value % 100000) / 10 ** (5 - digits))).padStart(digits, '0');
+
+        return `${zone}${band} ${column}${row} ${digitsOf(easting)} ${digitsOf(northing)}`;
+    }
+
+    /**
+     * Convierte un MGRS a lat/lng (el centro de la celda según su precisión).
+     * @param {string} mgrs
+     * @returns {{lat: number, lng: number}|null}
+     */
+    static fromMGRS(mgrs) {
+        const point = Coordinates.#parseMGRS(mgrs.trim().toUpperCase());
+        return point && { lat: point.lat, lng: point.lng };
+    }
+
+    /**
+     * Plus code (Open Location Code) completo.
+     * @param {number} lat
+     * @param {number} lng
+     * @param {number} [length=10] - 10 (≈14 m) u 11 (≈3 m).
+     * @returns {string}
+     */
+    static toPlusCode(lat, lng, length = 10) {
+        const alphabet = Coordinates.#PLUS_ALPHABET;
+        // En unidades de la celda de 10 dígitos (1/8000°), con lat en [0, 180) y lng en [0, 360)
+        const latValue = Math.min(Math.max(lat + 90, 0), 180 - 1e-10);
+        const lngValue = (((lng + 180) % 360) + 360) % 360;
+        let latUnits = Math.floor(latValue * 8000);
+        let lngUnits = Math.floor(lngValue * 8000);
+
+        let code = '';
+        for (let pair = 4; pair >= 0; pair--) {
+            code += alphabet[Math.floor(latUnits / 20 ** pair) % 20] + alphabet[Math.floor(lngUnits / 20 ** pair) % 20];
+        }
+
+        if (length > 10) {
+            // Celda de grilla 4x5 dentro de la de 10 dígitos
+            const row = Math.floor((latValue * 8000 - latUnits) * 5);
+            const column = Math.floor((lngValue * 8000 - lngUnits) * 4);
+            code += alphabet[row * 4 + column];
+        }
+
+        return `${code.slice(0, 8)}+${code.slice(8)}`;
+    }
+
+    /**
+     * Decodifica un plus code (centro de su celda). Los códigos cortos se completan con el
+     * punto de referencia más cercano.
+     * @param {string} code
+     * @param {{lat: number, lng: number}} [reference]
+     * @returns {{lat: number, lng: number}|null}
+     */
+    static fromPlusCode(code, reference) {
+        const point = Coordinates.#parsePlusCode(code.trim().toUpperCase(), reference);
+        return point && { lat: point.lat, lng: point.lng };
+    }
+
+    // ── Lectores ───────────────────────────────────────
+
+    static #parsePlusCode(text, reference) {
+        const match = text.match(/^([23456789CFGHJMPQRVWX0]{2,8})\+([23456789CFGHJMPQRVWX]*)(?:\s+.*)?$/);
+        if (!match) return null;
+
+        const [, prefix, suffix] = match;
+        if (prefix.length < 8) {
+            if (!reference) return null;
+            return Coordinates.#recoverShortCode(prefix, suffix, reference);
+        }
+
+        const alphabet = Coordinates.#PLUS_ALPHABET;
+        const digits = (prefix.replace(/0+$/, '') + suffix).split('');
+        let lat = -90, lng = -180;
+        let latSize = 20, lngSize = 20;
+
+        digits.slice(0, 10).forEach((digit, index) => {
+            const value = alphabet.indexOf(digit);
+            if (index % 2 === 0) {
+                if (index > 0) latSize /= 20;
+                lat += value * latSize;
+            } else {
+                if (index > 1) lngSize /= 20;
+                lng += value * lngSize;
+            }
+        });
+        digits.slice(10).forEach(digit => {
+            const value = alphabet.indexOf(digit);
+            latSize /= 5;
+            lngSize /= 4;
+            lat += Math.floor(value / 4) * latSize;
+            lng += (value % 4) * lngSize;
+        });
+
+        return Coordinates.#validate(lat + latSize / 2, lng + lngSize / 2, 'plusCode');
+    }
+
+    /** Completa un plus code corto con los primeros dígitos del punto de referencia (recoverNearest). */
+    static #recoverShortCode(prefix, suffix, reference) {
+        const missing = 8 - prefix.length;
+        const resolution = 20 ** (2 - missing / 2);
+        const full = Coordinates.toPlusCode(reference.lat, reference.lng).slice(0, missing) + prefix;
+        const point = Coordinates.#parsePlusCode(`${full}+${suffix}`);
+        if (!point) return null;
+
+        // La celda vecina puede quedar más cerca de la referencia que la del prefijo
+        const shift = (value, ref) => {
+            if (ref - value > resolution / 2) return value + resolution;
+            if (value - ref > resolution / 2) return value - resolution;
+            return value;
+        };
+        return Coordinates.#validate(shift(point.lat, reference.lat), shift(point.lng, reference.lng), 'plusCode');
+    }
+
+    static #parseMGRS(text) {
+        const match = text.match(/^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d+)\s*(\d*)$/);
+        if (!match) return null;
+
+        const [, zoneText, band, column, row, first, second] = match;
+        const digits = second ? [first, second] : [first.slice(0, first.length / 2), first.slice(first.length / 2)];
+        if (digits[0].length !== digits[1].length || digits[0].length > 5 || (!second && first.length % 2)) return null;
+
+        const zone = Number(zoneText);
+        const columnIndex = Coordinates.#MGRS_COLUMNS[(zone - 1) % 3].indexOf(column);
+        const rowIndex = Coordinates.#MGRS_ROWS.indexOf(row);
+        if (zone < 1 || zone > 60 || columnIndex < 0) return null;
+
+        // Centro de la celda según la precisión (p. ej. 10 m con 4 dígitos)
+        const cell = 10 ** (5 - digits[0].length);
+        const [east, north] = digits.map(value => (Number(value || 0) * cell) + cell / 2);
+
+        const easting = (columnIndex + 1) * 100000 + east;
+        let northing = (((rowIndex - (zone % 2 === 0 ? 5 : 0)) % 20 + 20) % 20) * 100000 + north;
+        while (northing < Coordinates.#BAND_MIN_NORTHING[band]) northing += 2000000;
+
+        const { lat, lng } = Coordinates.fromUTM(zone, band, easting, northing);
+        return Coordinates.#validate(lat, lng, 'mgrs');
+    }
+
+    static #parseUTM(text) {
+        const match = text.match(/^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:M?E)?\s*[,\s]\s*(\d+(?:\.\d+)?)\s*(?:M?N)?$/);
+        if (!match) return null;
+
+        const [, zone, band, easting, northing] = match;
+        if (Number(zone) < 1 || Number(zone) > 60) return null;
+
+        const { lat, lng } = Coordinates.fromUTM(Number(zone), band, Number(easting), Number(northing));
+        return Coordinates.#validate(lat, lng, 'utm');
+    }
+
+    /** Grados decimales o sexagesimales, con o sin hemisferio (N/S, E/W u O de oeste). */
+    static #parseDegrees(text) {
+        const normalized = text
+            .replace(/[′’‘´`]/g, "'")
+            .replace(/[″”“]|''/g, '"')
+            .replace(/º/g, '°');
+
+        const halves = Coordinates.#splitHalves(normalized);
+        if (!halves) return null;
+
+        const parts = halves.map(half => {
+            const numbers = half.match(/[-+]?\d+(?:\.\d+)?/g);
+            if (!numbers || numbers.length > 3) return null;
+
+            const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+            if (minutes >= 60 || seconds >= 60 || (numbers.length > 1 && !Number.isInteger(degrees))) return null;
+
+            const hemisphere = half.match(/[NSEWO]/)?.[0] ?? null;
+            const negative = degrees < 0 || numbers[0].startsWith('-') || ['S', 'W', 'O'].includes(hemisphere);
+            const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+            return { value: negative ? -value : value, hemisphere };
+        });
+        if (parts.some(part => !part)) return null;
+
+        // Con hemisferios, 'E/W' primero indica el orden lng, lat
+        const [first, second] = parts;
+        const swapped = ['E', 'W', 'O'].includes(first.hemisphere) || ['N', 'S'].includes(second.hemisphere);
+        const [lat, lng] = swapped ? [second.value, first.value] : [first.value, second.value];
+
+        const isDecimal = !/[°'"NSEWO]/.test(normalized) && halves.every(half => (half.match(/\d+(?:\.\d+)?/g) ?? []).length === 1);
+        return Coordinates.#validate(lat, lng, isDecimal ? 'decimal' : 'dms');
+    }
+
+    /** Separa el texto en latitud y longitud. */
+    static #splitHalves(text) {
+        const letters = [...text.matchAll(/[NSEWO]/g)];
+        if (letters.length === 2) {
+            // 'N 10 29 W 66 54' (hemisferio delante) o '10 29 N 66 54 W' (detrás)
+            const index = /^[NSEWO]/.test(text) ? letters[1].index : letters[0].index + 1;
+            return [text.slice(0, index), text.slice(index)];
+        }
+        if (letters.length) return null;
+
+        const separated = text.split(/[,;]/);
+        if (separated.length === 2) return separated;
+
+        // Sin separador: '10°29'50" -66°54'13"' se corta antes del segundo valor con '°'
+        const degrees = [...text.matchAll(/[-+]?\d+(?:\.\d+)?\s*°/g)];
+        if (degrees.length === 2) return [text.slice(0, degrees[1].index), text.slice(degrees[1].index)];
+
+        const tokens = text.split(/\s+/);
+        return tokens.length === 2 ? tokens : null;
+    }
+
+    // ── Utilidades ─────────────────────────────────────
+
+    static #validate(lat, lng, format) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+        return { lat, lng, format };
+    }
+
+    static #utmZone(lat, lng) {
+        if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+        if (lat >= 72 && lat < 84 && lng >= 0 && lng < 42) {
+            if (lng < 9) return 31;
+            if (lng < 21) return 33;
+            if (lng < 33) return 35;
+            return 37;
+        }
+        return Math.min(Math.floor((lng + 180) / 6) + 1, 60);
+    }
+
+    static #eccentricity() {
+        const e2 = Coordinates.#F * (2 - Coordinates.#F);
+        return { e2, ep2: e2 / (1 - e2) };
+    }
+
+    /** Longitud del arco de meridiano desde el ecuador hasta phi (m). */
+    static #meridianArc(phi) {
+        const { e2 } = Coordinates.#eccentricity();
+        return Coordinates.#A * ((1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+            - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+            + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+            - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+    }
+}
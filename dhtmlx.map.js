@@ -12,6 +12,9 @@
  *   instructions: "Click anywhere on the map to place a marker."
  * });
  *
+ * // Default title, instructions and popup texts in Spanish (English unless a locale is given)
+ * const map3 = await dhtmlxMap.createMap("map", lat, lng, { locale: "es", instructions: true });
+ *
  * // Or call showInstructions() separately
  * const map2 = await dhtmlxMap.createMap("map", lat, lng);
  * map2.showInstructions("Custom instructions here.");
@@ -25,9 +28,18 @@
  *   win.progressOff();
  *   win.close();
  * });
+ *
+ * // Or let pickCoordinates() fill the form fields and close the window
+ * const coords = await dhtmlxMap.pickCoordinates(myForm, { addressField: "address" });
  */
 class DhtmlxMap {
 
+    /** Id of the map window; only one is open at a time per DhtmlxMap. */
+    static WINDOW_ID = "mapWindow";
+
+    // ── Internal state ──
+    #windows = null;
+
     /**
      * Creates a dhtmlx modal window, injects the map container HTML,
      * waits for the DOM to render, and then initializes OpenStreetMap.
@@ -35,25 +47,48 @@ class DhtmlxMap {
      * If lat/lng are provided the map centers on those coordinates with zoom 20;
      * otherwise it uses OpenStreetMap defaults.
      *
+     * The dhtmlXWindows manager is reused between calls: a map window that is still open
+     * is closed first, and closing the window destroys its map (see OpenStreetMap#destroy).
+     *
      * @param {string}  containerId            - ID for the map container element.
      * @param {number}  [lat]                  - Optional latitude to center on.
      * @param {number}  [lng]                  - Optional longitude to center on.
      * @param {Object}         [options]                      - Window/map options.
-     * @param {string}         [options.title="Map"]          - Window title.
+     * @param {string}         [options.title]                - Window title (defaults to the locale's "windowTitle").
      * @param {number}         [options.zoom=20]              - Zoom level when coordinates are provided.
-     * @param {string|boolean} [options.instructions=false]   - Instruction text to display, or false to hide.
+     * @param {string|boolean} [options.instructions=false]   - Instruction text to display, true for the
+     *                                                          locale's default text, or false to hide.
+     * @param {string}         [options.locale="en"]          - Map language and number format (see OpenStreetMap.MESSAGES).
+     *                                                          English by default, unlike OpenStreetMap, to keep the
+     *                                                          window's original "Map" title and instructions.
+     * @param {Object}         [options.messages]             - Overrides for individual texts (see OpenStreetMap config.messages).
+     * @param {boolean}        [options.reverseGeocode=false] - Look up the selected point's address (see OpenStreetMap config.reverseGeocode).
+     * @param {string}         [options.geocoderUrl]          - Nominatim endpoint for that lookup.
      * @returns {Promise<OpenStreetMap>} The map instance, extended with getWindow() and showInstructions().
      */
     async createMap(containerId, lat, lng, options = {}) {
         const {
-            title = "Map",
             zoom = 20,
             instructions = false,
+            locale = "en",
+            messages = null,
+            reverseGeocode = false,
+            geocoderUrl = OpenStreetMap.DEFAULTS.geocoderUrl,
         } = options;
 
-        // ── Create dhtmlx modal window ──
-        const dhxWins = new dhtmlXWindows();
-        const win = dhxWins.createWindow("mapWindow", 10, 10, 370, 150);
+        // The map is created first so the window texts use its locale; it is not rendered until initMap()
+        const map = new OpenStreetMap({ containerId, locale, messages, reverseGeocode, geocoderUrl });
+        const title = options.title ?? map.translate("windowTitle");
+
+        // ── Create dhtmlx modal window (reusing the manager, replacing any open map window) ──
+        this.#windows ??= new dhtmlXWindows();
+        this.#windows.window(DhtmlxMap.WINDOW_ID)?.close();
+
+        const win = this.#windows.createWindow(DhtmlxMap.WINDOW_ID, 10, 10, 370, 150);
+        win.attachEvent("onClose", () => {
+            map.destroy();
+            return true;
+        });
         win.setText(title);
         win.setModal(true);
         win.maximize();
@@ -71,7 +106,6 @@ class DhtmlxMap {
         await new Promise(resolve => requestAnimationFrame(resolve));
 
         // ── Initialize OpenStreetMap (container is guaranteed in DOM) ──
-        const map = new OpenStreetMap({ containerId });
         const hasCoordinates = lat != null && lng != null;
 
         if (hasCoordinates) {
@@ -90,10 +124,10 @@ class DhtmlxMap {
 
         /**
          * Displays an instruction banner above the map.
-         * @param {string} [text="Click anywhere on the map to place a coordinate marker."]
+         * @param {string} [text] - Defaults to the locale's "windowInstructions" text.
          * @returns {OpenStreetMap} For chaining.
          */
-        map.showInstructions = (text = "Click anywhere on the map to place a coordinate marker.") => {
+        map.showInstructions = (text = map.translate("windowInstructions")) => {
             const container = document.getElementById(containerId)?.parentElement ?? document.getElementById(containerId);
             if (!container || container.querySelector(".map-instructions")) return map;
 
@@ -107,9 +141,113 @@ class DhtmlxMap {
 
         // ── Auto-show instructions if provided in options ──
         if (instructions) {
-            map.showInstructions(instructions);
+            map.showInstructions(instructions === true ? undefined : instructions);
         }
 
         return map;
     }
+
+    /**
+     * Opens the map window to pick a point for a form and writes it back into the form fields.
+     * The selector starts at the form's current coordinates (if any); confirming fills the
+     * fields, resolves the promise and closes the window. Closing the window without
+     * confirming rejects the promise.
+     *
+     * Works with a dhtmlXForm (getItemValue/setItemValue) or a plain HTML <form> (field names);
+     * HTML fields also receive a "change" event.
+     *
+     * @param {dhtmlXForm|HTMLFormElement} form
+     * @param {Object} [options]                   - Also accepts every createMap() option.
+     * @param {string} [options.latField="lat"]    - Latitude field name.
+     * @param {string} [options.lngField="lng"]    - Longitude field name.
+     * @param {string} [options.addressField]      - Field that receives the address found for the point
+     *                                               (turns on reverseGeocode unless it is given).
+     * @param {string} [options.containerId="pickCoordinatesMap"] - ID for the map container element.
+     * @param {Object} [options.selector]          - Options for OpenStreetMap#setupSelector (draggable, bounds, ...).
+     * @returns {Promise<Object>} The confirmed coordinates (see OpenStreetMap#getSelectedCoordinates).
+     * @example
+     * try {
+     *   const { lat, lng } = await dhtmlxMap.pickCoordinates(form, {
+     *     latField: "latitude",
+     *     lngField: "longitude",
+     *     addressField: "address",
+     *     instructions: true,
+     *     selector: { draggable: true },
+     *   });
+     * } catch (error) {
+     *   // The window was closed without choosing a point
+     * }
+     */
+    async pickCoordinates(form, options = {}) {
+        const {
+            latField = "lat",
+            lngField = "lng",
+            addressField = null,
+            containerId = "pickCoordinatesMap",
+            selector = {},
+            ...mapOptions
+        } = options;
+
+        const lat = parseFloat(DhtmlxMap.#readField(form, latField));
+        const lng = parseFloat(DhtmlxMap.#readField(form, lngField));
+        const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lng);
+
+        const map = await this.createMap(containerId, hasCoordinates ? lat : null, hasCoordinates ? lng : null, {
+            reverseGeocode: Boolean(addressField),
+            ...mapOptions,
+        });
+        const win = map.getWindow();
+
+        return new Promise((resolve, reject) => {
+            let confirmed = false;
+
+            win.attachEvent("onClose", () => {
+                if (!confirmed) reject(new Error("DhtmlxMap: the window was closed without selecting coordinates."));
+                return true;
+            });
+
+            map.setupSearch().setupSelector((coords) => {
+                confirmed = true;
+                DhtmlxMap.#writeField(form, latField, String(coords.lat));
+                DhtmlxMap.#writeField(form, lngField, String(coords.lng));
+                if (addressField) DhtmlxMap.#writeField(form, addressField, coords.address?.displayName ?? "");
+
+                resolve(coords);
+                win.close();
+            }, selector);
+        });
+    }
+
+    /**
+     * Closes the map window (destroying its map) and unloads the dhtmlXWindows manager.
+     */
+    destroy() {
+        if (!this.#windows) return;
+
+        this.#windows.window(DhtmlxMap.WINDOW_ID)?.close();
+        this.#windows.unload();
+        this.#windows = null;
+    }
+
+    /** Reads a field from a dhtmlXForm or an HTML form. */
+    static #readField(form, name) {
+        if (typeof form.getItemValue === "function") return form.getItemValue(name);
+        return form.elements?.namedItem(name)?.value;
+    }
+
+    /** Writes a field of a dhtmlXForm or an HTML form. */
+    static #writeField(form, name, value) {
+        if (typeof form.setItemValue === "function") {
+            form.setItemValue(name, value);
+            return;
+        }
+
+        const field = form.elements?.namedItem(name);
+        if (!field) {
+            console.warn(`DhtmlxMap: The form has no field "${name}".`);
+            return;
+        }
+        field.value = value;
+        field.dispatchEvent(new Event("change", { bubbles: true }));
+    }
 }
@@ -0,0 +1,469 @@
+/**
+ * Herramientas de dibujo y edición para OpenStreetMap (sin plugins externos).
+ * Muestra una barra con los modos punto, línea, polígono, círculo y rectángulo, más
+ * editar (arrastrar vértices, insertar desde los puntos medios, clic en un vértice para
+ * borrarlo, ✥ para mover la figura) y eliminar (clic en la figura).
+ *
+ * No crea figuras propias: al terminar un trazo llama a hooks.create y la figura que
+ * devuelve (un marcador, círculo, polígono o ruta del wrapper) pasa a ser editable.
+ *
+ * Lo usa OpenStreetMap.enableDrawing(); no es necesario instanciarlo a mano.
+ *
+ * @example
+ * map.enableDrawing({ onCreated: ({ geojson }) => guardarZona(geojson) });
+ */
+class MapDrawer {
+    static DEFAULTS = {
+        tools: ['point', 'polyline', 'polygon', 'circle', 'rectangle'],
+        position: 'topleft',
+        draftStyle: { color: '#E67E22', weight: 2, dashArray: '6 4', fillOpacity: 0.1 },
+        snapDistance: 10,   // píxeles para cerrar el polígono sobre el primer vértice
+        titles: {},         // { herramienta: 'texto' } reemplaza el título de los botones de BUTTONS
+    };
+
+    static BUTTONS = {
+        point: ['📍', 'Punto'],
+        polyline: ['〰️', 'Línea (doble clic para terminar)'],
+        polygon: ['⬟', 'Polígono (doble clic o clic en el primer vértice para terminar)'],
+        circle: ['◯', 'Círculo (clic en el centro y clic para el radio)'],
+        rectangle: ['▭', 'Rectángulo (clic en dos esquinas)'],
+        edit: ['✏️', 'Editar figuras'],
+        delete: ['🗑️', 'Eliminar figuras'],
+    };
+
+    // ── Estado interno ─────────────────────────────────
+    #map = null;
+    #hooks = null;
+    #control = null;
+    #buttons = {};
+    #mode = null;
+    #justFinished = false;
+    #draft = null;
+    #shapes = new Map();
+    #handles = [];
+    #doubleClickZoom = false;
+
+    /**
+     * @param {L.Map}  map   - Mapa Leaflet donde se dibuja.
+     * @param {Object} hooks - { create(type, geometry) => layer, change(layer, type), remove(layer, type) }.
+     *   geometry: { latlng } (point), { latlngs } (polyline, polygon, rectangle) o { center, radius } (circle).
+     * @param {Object} [options] - Ver MapDrawer.DEFAULTS.
+     */
+    constructor(map, hooks, options = {}) {
+        this.#map = map;
+        this.#hooks = hooks;
+        this.options = { ...MapDrawer.DEFAULTS, ...options };
+
+        this.#map.on('click', this.#handleClick, this);
+        this.#map.on('mousemove', this.#handleMouseMove, this);
+        this.#map.on('dblclick', this.#handleDoubleClick, this);
+        document.addEventListener('keydown', this.#handleKeyDown);
+
+        this.#control = this.#createToolbar().addTo(this.#map);
+    }
+
+    /** Modo activo: un tipo de figura, 'edit', 'delete' o null. */
+    get mode() {
+        return this.#mode;
+    }
+
+    /**
+     * Indica si el clic actual pertenece al dibujo: hay un modo activo o una figura acaba de
+     * terminarse en este mismo clic (setMode(null) ya corrió, pero otros handlers de 'click'
+     * del mapa todavía lo reciben).
+     */
+    get active() {
+        return this.#mode !== null || this.#justFinished;
+    }
+
+    /**
+     * Activa un modo (o lo desactiva con null). Cancela el trazo en curso.
+     * @param {string|null} mode - 'point' | 'polyline' | 'polygon' | 'circle' | 'rectangle' | 'edit' | 'delete' | null
+     * @returns {this}
+     */
+    setMode(mode) {
+        this.#cancelDraft();
+        this.#clearHandles();
+        this.#mode = mode;
+
+        Object.entries(this.#buttons).forEach(([name, button]) => {
+            L.DomUtil[name === mode ? 'addClass' : 'removeClass'](button, 'map-draw-active');
+            button.setAttribute('aria-pressed', String(name === mode));
+        });
+
+        // El doble clic termina líneas y polígonos en lugar de acercar el mapa
+        if (mode && !['edit', 'delete'].includes(mode)) {
+            this.#doubleClickZoom ||= this.#map.doubleClickZoom.enabled();
+            this.#map.doubleClickZoom.disable();
+        } else if (this.#doubleClickZoom) {
+            this.#map.doubleClickZoom.enable();
+            this.#doubleClickZoom = false;
+        }
+
+        if (mode === 'edit') this.#showHandles();
+        return this;
+    }
+
+    /**
+     * Hace editable una figura (la llama el drawer con lo que devuelve hooks.create).
+     * @param {L.Layer} layer
+     * @param {string} type - 'point' | 'polyline' | 'polygon' | 'circle' | 'rectangle'
+     * @returns {this}
+     */
+    track(layer, type) {
+        this.#shapes.set(layer, type);
+        layer.on('click', this.#handleShapeClick, this);
+        return this;
+    }
+
+    /**
+     * Deja de gestionar una figura (no la quita del mapa).
+     * @param {L.Layer} layer
+     * @returns {this}
+     */
+    untrack(layer) {
+        if (!this.#shapes.delete(layer)) return this;
+
+        layer.off('click', this.#handleShapeClick, this);
+        if (this.#mode === 'edit') this.#showHandles();
+        return this;
+    }
+
+    /**
+     * Figuras gestionadas con su tipo; los rectángulos conservan 'rectangle' aunque sean L.Polygon.
+     * @returns {Array<{layer: L.Layer, type: string}>}
+     */
+    getShapes() {
+        return [...this.#shapes].map(([layer, type]) => ({ layer, type }));
+    }
+
+    /**
+     * Quita la barra y los eventos. Las figuras dibujadas permanecen en el mapa.
+     */
+    destroy() {
+        this.setMode(null);
+        [...this.#shapes.keys()].forEach(layer => this.untrack(layer));
+        this.#map.off('click', this.#handleClick, this);
+        this.#map.off('mousemove', this.#handleMouseMove, this);
+        this.#map.off('dblclick', this.#handleDoubleClick, this);
+        document.removeEventListener('keydown', this.#handleKeyDown);
+        this.#control.remove();
+    }
+
+    // ── Barra de herramientas ──────────────────────────
+
+    #createToolbar() {
+        const control = L.control({ position: this.options.position });
+        control.onAdd = () => {
+            const container = L.DomUtil.create('div', 'map-draw-toolbar leaflet-bar');
+            L.DomEvent.disableClickPropagation(container);
+
+            [...this.options.tools, 'edit', 'delete'].forEach(name => {
+                const [label, defaultTitle] = MapDrawer.BUTTONS[name];
+                const title = this.options.titles?.[name] ?? defaultTitle;
+                const button = L.DomUtil.create('a', `map-draw-${name}`, container);
+                Object.assign(button, { href: '#', role: 'button', title, textContent: label });
+                button.setAttribute('aria-pressed', 'false');
+                L.DomEvent.on(button, 'click', (e) => {
+                    L.DomEvent.preventDefault(e);
+                    this.setMode(this.#mode === name ? null : name);
+                });
+                this.#buttons[name] = button;
+            });
+
+            return container;
+        };
+        return control;
+    }
+
+    // ── Trazado ────────────────────────────────────────
+
+    #handleClick(e) {
+        const { latlng } = e;
+
+        switch (this.#mode) {
+            case 'point':
+                this.#finish('point', { latlng });
+                break;
+            case 'polyline':
+            case 'polygon':
+                this.#addVertex(latlng);
+                break;
+            case 'circle':
+            case 'rectangle':
+                if (!this.#draft) {
+                    this.#draft = { start: latlng, layer: null };
+                } else {
+                    this.#updateDraft(latlng);
+                    this.#finishTwoClickShape();
+                }
+                break;
+        }
+    }
+
+    #addVertex(latlng) {
+        const draft = this.#draft ??= {
+            points: [],
+            layer: L.polyline([], { ...this.options.draftStyle, interactive: false }).addTo(this.#map),
+            guide: L.polyline([], { ...this.options.draftStyle, opacity: 0.5, interactive: false }).addTo(this.#map),
+        };
+
+        const { points } = draft;
+        const last = points[points.length - 1];
+        // El doble clic dispara antes dos clics sobre el mismo punto
+        if (last && this.#pixelDistance(last, latlng) < 3) return;
+
+        if (this.#mode === 'polygon' && points.length >= 3 && this.#pixelDistance(points[0], latlng) <= this.options.snapDistance) {
+            this.#finishLine();
+            return;
+        }
+
+        points.push(latlng);
+        draft.layer.setLatLngs(points);
+    }
+
+    #handleMouseMove(e) {
+        if (!this.#draft) return;
+
+        if (this.#draft.points) {
+            const { points, guide } = this.#draft;
+            const ends = [points[points.length - 1], e.latlng];
+            if (this.#mode === 'polygon' && points.length >= 2) ends.push(points[0]);
+            guide.setLatLngs(ends);
+        } else {
+            this.#updateDraft(e.latlng);
+        }
+    }
+
+    #handleDoubleClick(e) {
+        if (!this.#draft?.points) return;
+
+        L.DomEvent.stop(e);
+        this.#finishLine();
+    }
+
+    /** Actualiza la vista previa del círculo o rectángulo con la esquina/borde actual. */
+    #updateDraft(latlng) {
+        const draft = this.#draft;
+        if (this.#mode === 'circle') {
+            const radius = draft.start.distanceTo(latlng);
+            draft.layer ??= L.circle(draft.start, { ...this.options.draftStyle, radius, interactive: false }).addTo(this.#map);
+            draft.layer.setRadius(radius);
+        } else {
+            const bounds = L.latLngBounds(draft.start, latlng);
+            draft.layer ??= L.rectangle(bounds, { ...this.options.draftStyle, interactive: false }).addTo(this.#map);
+            draft.layer.setBounds(bounds);
+        }
+    }
+
+    #finishLine() {
+        const { points } = this.#draft;
+        const type = this.#mode;
+        if (points.length < (type === 'polygon' ? 3 : 2)) return;
+
+        this.#finish(type, { latlngs: [...points] });
+    }
+
+    #finishTwoClickShape() {
+        const { start, layer } = this.#draft;
+        if (this.#mode === 'circle') {
+            if (layer.getRadius() > 0) this.#finish('circle', { center: start, radius: layer.getRadius() });
+        } else if (!layer.getBounds().getNorthEast().equals(layer.getBounds().getSouthWest())) {
+            this.#finish('rectangle', { latlngs: layer.getLatLngs()[0].map(({ lat, lng }) => L.latLng(lat, lng)) });
+        }
+    }
+
+    #finish(type, geometry) {
+        this.setMode(null);
+        this.#justFinished = true;
+        setTimeout(() => { this.#justFinished = false; });
+
+        const layer = this.#hooks.create(type, geometry);
+        if (layer) this.track(layer, type);
+    }
+
+    #cancelDraft() {
+        if (!this.#draft) return;
+
+        [this.#draft.layer, this.#draft.guide].forEach(layer => layer && this.#map.removeLayer(layer));
+        this.#draft = null;
+    }
+
+    #handleKeyDown = (e) => {
+        if (e.key === 'Escape' && this.#mode) this.setMode(null);
+    };
+
+    // ── Edición ────────────────────────────────────────
+
+    /** Crea los manejadores de todas las figuras visibles (recrea los existentes). */
+    #showHandles() {
+        this.#clearHandles();
+        this.#shapes.forEach((type, layer) => {
+            if (!this.#map.hasLayer(layer)) return;
+
+            if (type === 'point') {
+                layer.dragging?.enable();
+                layer.on('dragend', this.#handleMarkerDragEnd, this);
+            } else if (type === 'circle') {
+                this.#circleHandles(layer);
+            } else if (type === 'rectangle') {
+                this.#rectangleHandles(layer);
+            } else {
+                this.#vertexHandles(layer, type);
+            }
+        });
+    }
+
+    #clearHandles() {
+        this.#handles.forEach(handle => this.#map.removeLayer(handle));
+        this.#handles = [];
+        this.#shapes.forEach((type, layer) => {
+            if (type !== 'point') return;
+            layer.dragging?.disable();
+            layer.off('dragend', this.#handleMarkerDragEnd, this);
+        });
+    }
+
+    #handleMarkerDragEnd(e) {
+        this.#hooks.change(e.target, 'point');
+    }
+
+    #circleHandles(circle) {
+        const radiusPosition = () => this.#offsetEast(circle.getLatLng(), circle.getRadius());
+
+        const center = this.#createHandle(circle.getLatLng(), 'map-draw-handle-move', '✥');
+        const edge = this.#createHandle(radiusPosition(), 'map-draw-handle');
+
+        center.on('drag', () => {
+            circle.setLatLng(center.getLatLng());
+            edge.setLatLng(radiusPosition());
+        });
+        edge.on('drag', () => circle.setRadius(circle.getLatLng().distanceTo(edge.getLatLng())));
+        [center, edge].forEach(handle => handle.on('dragend', () => this.#hooks.change(circle, 'circle')));
+    }
+
+    /** Esquinas de un rectángulo: al arrastrar una, la opuesta queda fija y la figura sigue siendo rectangular. */
+    #rectangleHandles(layer) {
+        const bounds = layer.getBounds();
+        const corners = MapDrawer.#corners(bounds);
+        const commit = () => {
+            this.#hooks.change(layer, 'rectangle');
+            this.#showHandles();
+        };
+
+        corners.forEach((corner, index) => {
+            const opposite = corners[(index + 2) % corners.length];
+            const handle = this.#createHandle(corner, 'map-draw-handle');
+            handle.on('drag', () => layer.setLatLngs([MapDrawer.#corners(L.latLngBounds(opposite, handle.getLatLng()))]));
+            handle.on('dragend', commit);
+        });
+
+        const center = bounds.getCenter();
+        const mover = this.#createHandle(center, 'map-draw-handle-move', '✥');
+        mover.on('drag', () => {
+            const { lat, lng } = mover.getLatLng();
+            layer.setLatLngs([corners.map(corner => L.latLng(corner.lat + lat - center.lat, corner.lng + lng - center.lng))]);
+        });
+        mover.on('dragend', commit);
+    }
+
+    #vertexHandles(layer, type) {
+        const closed = type !== 'polyline';
+        const minVertices = closed ? 3 : 2;
+        const vertices = MapDrawer.#vertices(layer).map(({ lat, lng }) => L.latLng(lat, lng));
+        const apply = () => layer.setLatLngs(closed ? [vertices] : vertices);
+        const commit = () => {
+            this.#hooks.change(layer, type);
+            this.#showHandles();
+        };
+
+        vertices.forEach((vertex, index) => {
+            const handle = this.#createHandle(vertex, 'map-draw-handle');
+            handle.on('drag', () => {
+                vertices[index] = handle.getLatLng();
+                apply();
+            });
+            handle.on('dragend', commit);
+            handle.on('click', () => {
+                if (vertices.length <= minVertices) return;
+                vertices.splice(index, 1);
+                apply();
+                commit();
+            });
+        });
+
+        // Puntos medios: al arrastrarlos se inserta un vértice nuevo
+        const segments = closed ? vertices.length : vertices.length - 1;
+        for (let index = 0; index < segments; index++) {
+            const a = vertices[index];
+            const b = vertices[(index + 1) % vertices.length];
+            const handle = this.#createHandle(L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2), 'map-draw-handle-middle');
+            handle.setOpacity(0.5);
+            handle.once('dragstart', () => vertices.splice(index + 1, 0, handle.getLatLng()));
+            handle.on('drag', () => {
+                vertices[index + 1] = handle.getLatLng();
+                apply();
+            });
+            handle.on('dragend', commit);
+        }
+
+        // Mover la figura completa
+        const mover = this.#createHandle(layer.getBounds().getCenter(), 'map-draw-handle-move', '✥');
+        let origin = mover.getLatLng();
+        mover.on('drag', () => {
+            const { lat, lng } = mover.getLatLng();
+            const dLat = lat - origin.lat;
+            const dLng = lng - origin.lng;
+            origin = mover.getLatLng();
+            vertices.forEach((vertex, index) => { vertices[index] = L.latLng(vertex.lat + dLat, vertex.lng + dLng); });
+            apply();
+        });
+        mover.on('dragend', commit);
+    }
+
+    #createHandle(latlng, className, html = '') {
+        const handle = L.marker(latlng, {
+            draggable: true,
+            zIndexOffset: 1000,
+            icon: L.divIcon({ className, html, iconSize: [14, 14] }),
+        }).addTo(this.#map);
+        this.#handles.push(handle);
+        return handle;
+    }
+
+    // ── Eliminación ────────────────────────────────────
+
+    #handleShapeClick(e) {
+        if (this.#mode !== 'delete') return;
+
+        L.DomEvent.stop(e);
+        const layer = e.target;
+        const type = this.#shapes.get(layer);
+        layer.closePopup?.();
+        this.untrack(layer);
+        this.#hooks.remove(layer, type);
+    }
+
+    // ── Utilidades ─────────────────────────────────────
+
+    #pixelDistance(a, b) {
+        return this.#map.latLngToContainerPoint(a).distanceTo(this.#map.latLngToContainerPoint(b));
+    }
+
+    /** Punto a `meters` metros al este de `latlng` (para el manejador del radio). */
+    #offsetEast(latlng, meters) {
+        const dLng = (meters / (6371000 * Math.cos((latlng.lat * Math.PI) / 180))) * (180 / Math.PI);
+        return L.latLng(latlng.lat, latlng.lng + dLng);
+    }
+
+    /** Esquinas de unos límites en el orden de L.rectangle (SO, NO, NE, SE). */
+    static #corners(bounds) {
+        return [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()];
+    }
+
+    /** Vértices de una línea o del anillo exterior de un polígono. */
+    static #vertices(layer) {
+        const latlngs = layer.getLatLngs();
+        return Array.isArray(latlngs[0]) ? latlngs[0] : latlngs;
+    }
+}
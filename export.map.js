@@ -0,0 +1,299 @@
+/**
+ * Exportación del mapa para OpenStreetMap: compone en un canvas los tiles visibles, las
+ * rutas, círculos y polígonos, y los marcadores (emoji, números de parada o imágenes), y arma
+ * una página imprimible con título, leyenda, resumen de la ruta y lista de paradas.
+ *
+ * Lo usan OpenStreetMap.exportImage() y printMap(); no es necesario instanciarlo a mano.
+ *
+ * Los tiles de otro dominio solo se pueden exportar si el mapa se crea con { exportable: true }
+ * y el servidor permite CORS (OpenStreetMap, Esri y OpenTopoMap lo permiten). Los que se
+ * cargaron sin CORS se omiten (dejarían el canvas bloqueado por el navegador): la imagen
+ * sale con rutas, marcadores y atribución sobre fondo liso.
+ *
+ * @example
+ * const png = await map.exportImage({ scale: 2 });
+ * map.printMap({ title: 'Ruta del día' });
+ */
+class MapExporter {
+    static DEFAULTS = {
+        markerFont: '24px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif',
+        labelFont: 'bold 13px sans-serif',
+        attributionFont: '11px sans-serif',
+        stopColor: '#2C6B94',
+    };
+
+    // ── Estado interno ─────────────────────────────────
+    #map = null;
+
+    /**
+     * @param {L.Map}  map       - Mapa Leaflet a exportar.
+     * @param {Object} [options] - Ver MapExporter.DEFAULTS.
+     */
+    constructor(map, options = {}) {
+        this.#map = map;
+        this.options = { ...MapExporter.DEFAULTS, ...options };
+    }
+
+    /**
+     * Dibuja la vista actual en un canvas.
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Factor de resolución (2 = el doble de píxeles).
+     * @returns {HTMLCanvasElement}
+     */
+    toCanvas({ scale = 1 } = {}) {
+        const size = this.#map.getSize();
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(size.x * scale);
+        canvas.height = Math.round(size.y * scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.fillStyle = '#DDDDDD';
+        context.fillRect(0, 0, size.x, size.y);
+
+        this.#drawTiles(context);
+        this.#map.eachLayer(layer => {
+            if (layer instanceof L.Path) this.#drawPath(context, layer);
+        });
+        this.#map.eachLayer(layer => {
+            if (layer instanceof L.Marker) this.#drawMarker(context, layer);
+        });
+        this.#drawAttribution(context, size);
+
+        return canvas;
+    }
+
+    /**
+     * Exporta la vista actual como imagen.
+     * @param {Object} [options]
+     * @param {string} [options.format='png']  - 'png' | 'jpeg' | 'webp'.
+     * @param {number} [options.scale=1]
+     * @param {number} [options.quality=0.92] - Calidad para jpeg/webp (0 a 1).
+     * @returns {Promise<Blob>}
+     */
+    toBlob({ format = 'png', scale = 1, quality = 0.92 } = {}) {
+        const canvas = this.toCanvas({ scale });
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                blob => (blob ? resolve(blob) : reject(new Error('No se pudo generar la imagen'))),
+                `image/${format}`,
+                quality,
+            );
+        });
+    }
+
+    /**
+     * Abre el diálogo de impresión con la imagen del mapa y el reporte de la ruta.
+     * @param {Object} report
+     * @param {string} report.image       - URL (data URL u object URL) de la imagen del mapa.
+     * @param {string} report.title
+     * @param {string} [report.subtitle]  - Texto bajo el título (p. ej. la fecha).
+     * @param {Array}  [report.legend]    - [{ icon?, color?, label }, ...].
+     * @param {Array}  [report.summary]   - [{ label, value }, ...].
+     * @param {Array}  [report.stops]     - [{ label, detail? }, ...] en orden de visita.
+     * @param {Object} report.texts       - { legend, summary, stops } encabezados de cada sección.
+     * @returns {Promise<void>} Se resuelve cuando se cierra el diálogo de impresión.
+     */
+    print({ image, title, subtitle = '', legend = [], summary = [], stops = [], texts }) {
+        const escape = (text) => String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        const legendHtml = legend.map(({ icon, color, label }) => `
+            <li>${color ? `<span class="swatch" style="background:${escape(color)}"></span>` : `<span class="icon">${icon ?? ''}</span>`}
+                ${escape(label)}</li>`).join('');
+        const summaryHtml = summary.map(({ label, value }) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('');
+        const stopsHtml = stops.map(({ label, detail }) => `
+            <li>${escape(label)}${detail ? `<small>${escape(detail)}</small>` : ''}</li>`).join('');
+
+        const html = `<!DOCTYPE html>
+            <html><head><meta charset="utf-8"><title>${escape(title)}</title>
+            <style>
+                body { font-family: sans-serif; margin: 16px; color: #222; }
+                h1 { font-size: 20px; margin: 0; }
+                .subtitle { color: #666; margin: 4px 0 12px; }
+                img { width: 100%; border: 1px solid #CCC; }
+                .sections { display: flex; gap: 24px; margin-top: 12px; }
+                .sections > section { flex: 1; }
+                h2 { font-size: 14px; border-bottom: 1px solid #CCC; padding-bottom: 4px; }
+                ul, ol { margin: 0; padding-left: 20px; font-size: 13px; }
+                .legend { list-style: none; padding: 0; }
+                .swatch { display: inline-block; width: 24px; height: 4px; vertical-align: middle; margin-right: 6px; }
+                .icon { display: inline-block; width: 24px; }
+                dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 0; font-size: 13px; }
+                dt { font-weight: bold; } dd { margin: 0; }
+                small { display: block; color: #666; }
+            </style></head>
+            <body>
+                <h1>${escape(title)}</h1>
+                ${subtitle ? `<p class="subtitle">${escape(subtitle)}</p>` : ''}
+                <img src="${image}" alt="">
+                <div class="sections">
+                    ${legend.length ? `<section><h2>${escape(texts.legend)}</h2><ul class="legend">${legendHtml}</ul></section>` : ''}
+                    ${summary.length ? `<section><h2>${escape(texts.summary)}</h2><dl>${summaryHtml}</dl></section>` : ''}
+                    ${stops.length ? `<section><h2>${escape(texts.stops)}</h2><ol>${stopsHtml}</ol></section>` : ''}
+                </div>
+            </body></html>`;
+
+        // Un iframe oculto evita el bloqueo de ventanas emergentes de window.open
+        const frame = document.createElement('iframe');
+        Object.assign(frame.style, { position: 'fixed', width: '0', height: '0', border: '0', visibility: 'hidden' });
+        document.body.appendChild(frame);
+
+        return new Promise(resolve => {
+            const printWindow = frame.contentWindow;
+            const cleanup = () => {
+                frame.remove();
+                resolve();
+            };
+
+            printWindow.document.open();
+            printWindow.document.write(html);
+            printWindow.document.close();
+
+            const mapImage = printWindow.document.querySelector('img');
+            const openDialog = () => {
+                printWindow.addEventListener('afterprint', cleanup, { once: true });
+                printWindow.focus();
+                printWindow.print();
+                // Algunos navegadores no emiten afterprint; print() bloquea hasta cerrar el diálogo
+                setTimeout(() => frame.isConnected && cleanup(), 1000);
+            };
+            if (mapImage.complete) openDialog();
+            else mapImage.addEventListener('load', openDialog, { once: true });
+        });
+    }
+
+    // ── Capas ──────────────────────────────────────────
+
+    /**
+     * Copia las imágenes de tiles cargadas en su posición actual en pantalla (incluye zoom animado).
+     * Omite las que bloquearían el canvas (ver MapExporter.#isExportable).
+     */
+    #drawTiles(context) {
+        const container = this.#map.getContainer();
+        const origin = container.getBoundingClientRect();
+
+        container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(tile => {
+            if (!MapExporter.#isExportable(tile)) return;
+
+            const rect = tile.getBoundingClientRect();
+            const opacity = Number(getComputedStyle(tile.closest('.leaflet-layer') ?? tile).opacity || 1);
+            context.globalAlpha = opacity;
+            context.drawImage(tile, rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+        });
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Una imagen (tile o icono) se puede copiar al canvas si se pidió con CORS (exportable: true),
+     * si viene de la caché sin conexión (blob:) o de un data URL, o si es del mismo origen que la página.
+     */
+    static #isExportable(image) {
+        if (image.crossOrigin != null) return true;
+
+        const url = new URL(image.src, location.href);
+        return url.protocol === 'blob:' || url.protocol === 'data:' || url.origin === location.origin;
+    }
+
+    /** Dibuja polilíneas, polígonos y círculos con su estilo de Leaflet. */
+    #drawPath(context, layer) {
+        const { options } = layer;
+        const toPoint = (latlng) => this.#map.latLngToContainerPoint(latlng);
+
+        context.beginPath();
+        if (layer instanceof L.Circle) {
+            // El radio de L.Circle está en metros: se mide en píxeles hacia el este del centro
+            const center = layer.getLatLng();
+            const metersPerDegree = 111320 * Math.cos((center.lat * Math.PI) / 180);
+            const centerPoint = toPoint(center);
+            const radius = toPoint(L.latLng(center.lat, center.lng + layer.getRadius() / metersPerDegree)).x - centerPoint.x;
+            context.arc(centerPoint.x, centerPoint.y, Math.abs(radius), 0, 2 * Math.PI);
+        } else if (layer instanceof L.CircleMarker) {
+            const centerPoint = toPoint(layer.getLatLng());
+            context.arc(centerPoint.x, centerPoint.y, layer.getRadius(), 0, 2 * Math.PI);
+        } else if (layer instanceof L.Polyline) {
+            const closed = layer instanceof L.Polygon;
+            MapExporter.#rings(layer.getLatLngs()).forEach(ring => {
+                ring.map(toPoint).forEach(({ x, y }, index) => (index ? context.lineTo(x, y) : context.moveTo(x, y)));
+                if (closed) context.closePath();
+            });
+        } else {
+            return;
+        }
+
+        if (options.fill) {
+            context.fillStyle = options.fillColor ?? options.color;
+            context.globalAlpha = options.fillOpacity ?? 0.2;
+            context.fill('evenodd');
+        }
+        if (options.stroke !== false) {
+            context.strokeStyle = options.color;
+            context.globalAlpha = options.opacity ?? 1;
+            context.lineWidth = options.weight ?? 3;
+            context.lineCap = options.lineCap ?? 'round';
+            context.lineJoin = options.lineJoin ?? 'round';
+            context.setLineDash(options.dashArray ? String(options.dashArray).split(/[\s,]+/).map(Number) : []);
+            context.stroke();
+        }
+        context.globalAlpha = 1;
+        context.setLineDash([]);
+    }
+
+    /** Dibuja el icono de un marcador: imagen, número de parada/conteo en un círculo o emoji. */
+    #drawMarker(context, marker) {
+        const element = marker.getElement();
+        if (!element) return;
+
+        const { x, y } = this.#map.latLngToContainerPoint(marker.getLatLng());
+        const opacity = marker.options.opacity ?? 1;
+        context.globalAlpha = opacity;
+
+        if (element.tagName === 'IMG') {
+            const { iconSize = [25, 41], iconAnchor = [12, 41] } = marker.options.icon.options;
+            if (element.complete && MapExporter.#isExportable(element)) context.drawImage(element, x - iconAnchor[0], y - iconAnchor[1], iconSize[0], iconSize[1]);
+            context.globalAlpha = 1;
+            return;
+        }
+
+        const text = element.textContent.trim();
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        if (/^\d+$/.test(text)) {
+            context.beginPath();
+            context.arc(x, y, 13, 0, 2 * Math.PI);
+            context.fillStyle = this.options.stopColor;
+            context.fill();
+            context.lineWidth = 2;
+            context.strokeStyle = '#FFFFFF';
+            context.stroke();
+            context.font = this.options.labelFont;
+            context.fillStyle = '#FFFFFF';
+            context.fillText(text, x, y + 1);
+        } else if (text) {
+            context.font = this.options.markerFont;
+            context.fillText(text, x, y);
+        }
+        context.globalAlpha = 1;
+    }
+
+    /** La atribución de los tiles es obligatoria también en las imágenes exportadas. */
+    #drawAttribution(context, size) {
+        const text = this.#map.attributionControl?.getContainer().textContent.trim();
+        if (!text) return;
+
+        context.font = this.options.attributionFont;
+        const width = context.measureText(text).width + 8;
+        context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        context.fillRect(size.x - width, size.y - 16, width, 16);
+        context.fillStyle = '#333333';
+        context.textAlign = 'right';
+        context.textBaseline = 'middle';
+        context.fillText(text, size.x - 4, size.y - 8);
+    }
+
+    /** Aplana latlngs de Leaflet (simples, con huecos o multi) en una lista de anillos. */
+    static #rings(latlngs) {
+        if (!latlngs.length) return [];
+        return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flatMap(MapExporter.#rings);
+    }
+}
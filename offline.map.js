@@ -0,0 +1,342 @@
+/**
+ * Tiles sin conexión para OpenStreetMap: una capa de tiles que guarda en IndexedDB cada
+ * tile descargado y, si la red falla, lo sirve desde la caché. Permite además descargar
+ * por adelantado un área (prefetch) para trabajar en zonas sin cobertura.
+ *
+ * Lo usa OpenStreetMap cuando se crea con { offlineTiles: true } (o con opciones de caché);
+ * no es necesario instanciarlo a mano.
+ *
+ * Nota: la política de uso de tile.openstreetmap.org no permite descargas masivas.
+ * Para prefetch de áreas grandes usa un servidor de tiles propio (config.tileUrl).
+ *
+ * @example
+ * const map = new OpenStreetMap({ offlineTiles: { maxTiles: 20000 } }).initMap();
+ * await map.prefetchArea([[10.40, -67.00], [10.55, -66.80]], 12, 16, {
+ *     onProgress: ({ done, total }) => console.log(`${done}/${total}`),
+ * });
+ */
+class TileCache {
+    static DEFAULTS = {
+        dbName: 'openstreetmap-tiles',
+        maxTiles: 5000,                         // al superarlo se borran los más antiguos
+        maxAge: 30 * 24 * 60 * 60 * 1000,       // ms; los tiles más viejos se descartan
+    };
+
+    static STORE = 'tiles';
+
+    // ── Estado interno ─────────────────────────────────
+    #db = null;
+    #evictTimer = null;
+
+    /**
+     * @param {Object} [options] - Ver TileCache.DEFAULTS.
+     */
+    constructor(options = {}) {
+        this.options = { ...TileCache.DEFAULTS, ...options };
+    }
+
+    /**
+     * Obtiene un tile guardado (null si no existe o ya venció).
+     * @param {string} url
+     * @returns {Promise<Blob|null>}
+     */
+    async get(url) {
+        const record = await this.#request('readonly', store => store.get(url));
+        if (!record || Date.now() - record.storedAt > this.options.maxAge) return null;
+        return record.blob;
+    }
+
+    /**
+     * Indica si un tile está guardado y vigente.
+     * @param {string} url
+     * @returns {Promise<boolean>}
+     */
+    async has(url) {
+        return (await this.get(url)) !== null;
+    }
+
+    /**
+     * Guarda un tile y programa la limpieza según maxTiles/maxAge.
+     * @param {string} url
+     * @param {Blob}   blob
+     * @returns {Promise<void>}
+     */
+    async put(url, blob) {
+        await this.#request('readwrite', store => store.put({ url, blob, size: blob.size, storedAt: Date.now() }));
+        this.#scheduleEvict();
+    }
+
+    /**
+     * Cantidad de tiles y bytes ocupados.
+     * @returns {Promise<{tiles: number, bytes: number}>}
+     */
+    async stats() {
+        const records = await this.#request('readonly', store => store.getAll());
+        return {
+            tiles: records.length,
+            bytes: records.reduce((total, { size }) => total + size, 0),
+        };
+    }
+
+    /**
+     * Borra los tiles vencidos y, si se supera maxTiles, los más antiguos.
+     * @returns {Promise<number>} Cantidad de tiles borrados.
+     */
+    async evict() {
+        const { maxTiles, maxAge } = this.options;
+        const db = await this.#open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(TileCache.STORE, 'readwrite');
+            const index = transaction.objectStore(TileCache.STORE).index('storedAt');
+            const countRequest = index.count();
+            let removed = 0;
+
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - maxTiles;
+                const expiredBefore = Date.now() - maxAge;
+
+                // El índice recorre del más antiguo al más nuevo
+                index.openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor || (excess <= 0 && cursor.value.storedAt >= expiredBefore)) return;
+
+                    cursor.delete();
+                    removed++;
+                    excess--;
+                    cursor.continue();
+                };
+            };
+
+            transaction.oncomplete = () => resolve(removed);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Borra todos los tiles guardados.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.#request('readwrite', store => store.clear());
+    }
+
+    // ── IndexedDB ──────────────────────────────────────
+
+    #open() {
+        this.#db ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.options.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(TileCache.STORE, { keyPath: 'url' });
+                store.createIndex('storedAt', 'storedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.#db;
+    }
+
+    /** Ejecuta una operación sobre el almacén de tiles y resuelve con su resultado. */
+    async #request(mode, operation) {
+        const db = await this.#open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(TileCache.STORE, mode).objectStore(TileCache.STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /** Agrupa la limpieza de muchas escrituras seguidas en una sola pasada. */
+    #scheduleEvict() {
+        if (this.#evictTimer) return;
+
+        this.#evictTimer = setTimeout(() => {
+            this.#evictTimer = null;
+            this.evict().catch(error => console.warn('OpenStreetMap: No se pudo limpiar la caché de tiles:', error));
+        }, 2000);
+    }
+}
+
+/**
+ * Capa de tiles Leaflet que descarga con fetch, guarda cada tile en un TileCache y,
+ * si la descarga falla (o el navegador está sin conexión), usa el tile guardado.
+ */
+class CachedTileLayer extends L.TileLayer {
+    static AVERAGE_TILE_BYTES = 15 * 1024;  // tamaño típico de un tile raster PNG de OSM
+
+    // ── Estado interno ─────────────────────────────────
+    #url;
+
+    /**
+     * @param {string} url       - Plantilla de URL de tiles ({s}, {z}, {x}, {y}).
+     * @param {Object} [options] - Opciones de L.TileLayer más cache (TileCache o sus opciones).
+     */
+    constructor(url, options = {}) {
+        const { cache, ...layerOptions } = options;
+        super(url, layerOptions);
+        this.#url = url;
+        this.cache = cache instanceof TileCache ? cache : new TileCache(cache);
+    }
+
+    createTile(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+
+        this.#loadTile(this.getTileUrl(coords))
+            .then(blob => {
+                const objectUrl = URL.createObjectURL(blob);
+                tile.onload = () => {
+                    URL.revokeObjectURL(objectUrl);
+                    done(null, tile);
+                };
+                tile.onerror = () => {
+                    URL.revokeObjectURL(objectUrl);
+                    done(new Error('Tile inválido'), tile);
+                };
+                tile.src = objectUrl;
+            })
+            .catch(error => done(error, tile));
+
+        return tile;
+    }
+
+    /**
+     * Cuenta los tiles de un área entre dos niveles de zoom y estima su tamaño.
+     * @param {L.LatLngBounds|Array} bounds - [[sur, oeste], [norte, este]].
+     * @param {number} minZoom
+     * @param {number} maxZoom
+     * @returns {{tiles: number, bytes: number}}
+     */
+    estimate(bounds, minZoom, maxZoom) {
+        const tiles = this.#tileRanges(L.latLngBounds(bounds), minZoom, maxZoom)
+            .reduce((total, { minX, maxX, minY, maxY }) => total + (maxX - minX + 1) * (maxY - minY + 1), 0);
+        return { tiles, bytes: tiles * CachedTileLayer.AVERAGE_TILE_BYTES };
+    }
+
+    /**
+     * Descarga y guarda los tiles de un área. Los que ya están en caché se omiten.
+     * @param {L.LatLngBounds|Array} bounds
+     * @param {number} minZoom
+     * @param {number} maxZoom
+     * @param {Object} [options]
+     * @param {number}   [options.concurrency=2] - Descargas simultáneas.
+     * @param {number}   [options.limit]         - Máximo de tiles a descargar (por defecto cache.options.maxTiles).
+     * @param {Function} [options.onProgress]    - ({ done, total, failed, bytes, estimatedBytes }) tras cada tile.
+     * @param {AbortSignal} [options.signal]     - Para cancelar la descarga.
+     * @returns {Promise<{total, downloaded, cached, failed, bytes}>}
+     */
+    async prefetch(bounds, minZoom, maxZoom, options = {}) {
+        const {
+            concurrency = 2,
+            limit = this.cache.options.maxTiles,
+            onProgress = null,
+            signal = null,
+        } = options;
+
+        const { tiles: total, bytes: estimatedBytes } = this.estimate(bounds, minZoom, maxZoom);
+        if (total > limit) {
+            throw new Error(`El área tiene ${total} tiles y el límite es ${limit}; reduce el área o el zoom máximo.`);
+        }
+
+        const tiles = this.#iterateTiles(this.#tileRanges(L.latLngBounds(bounds), minZoom, maxZoom));
+        const summary = { total, downloaded: 0, cached: 0, failed: 0, bytes: 0 };
+
+        // Los workers comparten el iterador, así cada tile se descarga una sola vez
+        const worker = async () => {
+            for (const tile of tiles) {
+                if (signal?.aborted) return;
+
+                const url = this.#tileUrl(tile);
+                try {
+                    if (await this.cache.has(url)) {
+                        summary.cached++;
+                    } else {
+                        const blob = await this.#download(url);
+                        summary.downloaded++;
+                        summary.bytes += blob.size;
+                    }
+                } catch {
+                    summary.failed++;
+                }
+
+                const done = summary.downloaded + summary.cached + summary.failed;
+                onProgress?.({ done, total, failed: summary.failed, bytes: summary.bytes, estimatedBytes });
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+        return summary;
+    }
+
+    // ── Descarga ───────────────────────────────────────
+
+    /** Red primero y caché como respaldo; sin conexión va directo a la caché. */
+    async #loadTile(url) {
+        if (navigator.onLine === false) {
+            const cached = await this.cache.get(url);
+            if (cached) return cached;
+        }
+
+        try {
+            return await this.#download(url);
+        } catch (error) {
+            const cached = await this.cache.get(url).catch(() => null);
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    async #download(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const blob = await response.blob();
+        // Un fallo al guardar (cuota llena, modo privado) no debe impedir mostrar el tile
+        await this.cache.put(url, blob).catch(error => console.warn('OpenStreetMap: No se pudo guardar el tile:', error));
+        return blob;
+    }
+
+    /** URL del tile {x, y, z} (como getTileUrl, pero sin depender del zoom actual). */
+    #tileUrl({ x, y, z }) {
+        const { subdomains } = this.options;
+        return L.Util.template(this.#url, {
+            ...this.options,
+            r: this.options.detectRetina && L.Browser.retina ? '@2x' : '',
+            s: subdomains[Math.abs(x + y) % subdomains.length],
+            x,
+            y,
+            z,
+        });
+    }
+
+    /** Rango de columnas/filas de tiles que cubren bounds en cada zoom. */
+    #tileRanges(bounds, minZoom, maxZoom) {
+        const size = this.getTileSize();
+        const ranges = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const northWest = L.CRS.EPSG3857.latLngToPoint(bounds.getNorthWest(), z).unscaleBy(size).floor();
+            const southEast = L.CRS.EPSG3857.latLngToPoint(bounds.getSouthEast(), z).unscaleBy(size).floor();
+            const max = 2 ** z - 1;
+            ranges.push({
+                z,
+                minX: Math.max(northWest.x, 0),
+                maxX: Math.min(southEast.x, max),
+                minY: Math.max(northWest.y, 0),
+                maxY: Math.min(southEast.y, max),
+            });
+        }
+        return ranges;
+    }
+
+    /** Recorre los tiles {x, y, z} de los rangos sin crear la lista completa. */
+    *#iterateTiles(ranges) {
+        for (const { z, minX, maxX, minY, maxY } of ranges) {
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    yield { x, y, z };
+                }
+            }
+        }
+    }
+}
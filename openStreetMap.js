@@ -1,7 +1,8 @@
 /**
  * Clase wrapper sobre Leaflet para gestión de mapas OpenStreetMap.
  * Permite inicializar mapas, buscar ubicaciones, seleccionar coordenadas,
- * dibujar rutas (recta u OSRM), y colocar marcadores y círculos.
+ * dibujar rutas (recta o por carretera vía OSRM, GraphHopper, Valhalla o un router propio),
+ * y colocar marcadores y círculos.
  *
  * @example
  * const map = new OpenStreetMap({ containerId: 'mi-mapa' });
@@ -20,6 +21,41 @@ class OpenStreetMap {
         tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
         attribution: '© OpenStreetMap | Strix Technologies | aceroraas',
         selectorIcon: '📦',
+        router: 'osrm',
+        geocoder: 'nominatim',
+        geocoderUrl: 'https://nominatim.openstreetmap.org/',
+        reverseGeocode: false,  // opt-in: el Nominatim público no admite una consulta por cada clic
+        reverseGeocodeDelay: 500,
+        reverseGeocodeTimeout: 5000,
+        offlineTiles: false,    // true o { maxTiles, maxAge, dbName } (requiere offline.map.js)
+        baseLayers: null,       // { 'Nombre': 'street' | 'satellite' | 'topo' | { url, attribution, ... } }
+        baseLayer: null,        // nombre de la capa base inicial (por defecto la primera)
+        layerControl: 'topright', // posición del selector de capas, o false para ocultarlo
+        urlHash: false,         // sincronizar vista y selector con la URL (#map=zoom/lat/lng&sel=lat,lng)
+        locale: 'es',           // idioma de los textos y formato de números (ver OpenStreetMap.MESSAGES)
+        messages: null,         // { clave: 'texto' } para reemplazar textos sueltos del idioma
+        notify: null,           // (message, type) => void para avisos al usuario; por defecto alert()
+        autoResize: true,       // ajustar el mapa cuando cambia el tamaño del contenedor (ResizeObserver)
+        exportable: false,      // pedir los tiles con CORS para poder exportarlos (exportImage, printMap)
+    };
+
+    /** Capas base predefinidas para config.baseLayers. */
+    static BASE_LAYERS = {
+        street: {
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap',
+            maxZoom: 19,
+        },
+        satellite: {
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attribution: 'Tiles © Esri',
+            maxZoom: 19,
+        },
+        topo: {
+            url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap | © OpenTopoMap (CC-BY-SA)',
+            maxZoom: 17,
+        },
     };
 
     static LINKS = {
@@ -28,16 +64,560 @@ class OpenStreetMap {
     };
 
     static OSRM_URL = 'https://router.project-osrm.org/route/v1/driving';
+    static OSRM_TABLE_URL = 'https://router.project-osrm.org/table/v1/driving';
+
+    /**
+     * Perfiles de viaje admitidos por drawRoute/drawWaypointRoute (routeOptions.profile),
+     * traducidos al nombre que usa cada router.
+     */
+    static PROFILES = {
+        driving: { osrm: 'driving', graphhopper: 'car', valhalla: 'auto', speedKmh: 40 },
+        cycling: { osrm: 'cycling', graphhopper: 'bike', valhalla: 'bicycle', speedKmh: 15 },
+        foot: { osrm: 'foot', graphhopper: 'foot', valhalla: 'pedestrian', speedKmh: 5 },
+    };
+
+    /**
+     * Textos de la interfaz por idioma (config.locale). Las claves que falten en un idioma se
+     * toman de 'es'; config.messages reemplaza claves sueltas. {nombre} se reemplaza con los parámetros.
+     * Para agregar un idioma: OpenStreetMap.MESSAGES.pt = { ... }.
+     */
+    static MESSAGES = {
+        es: {
+            searchPlaceholder: 'Buscar ciudad',
+            searchNotFound: 'No se encontró la ciudad',
+            goToPlaceholder: 'Ir a coordenadas (DMS, UTM, MGRS...)',
+            goToInvalid: 'Coordenada no reconocida',
+            selectorTitle: '🏁📦 Punto seleccionado',
+            selectorSearching: '🔎 Buscando dirección…',
+            selectorLatLng: 'Latitud: {lat}<br>Longitud: {lng}',
+            selectorGoogleMaps: '🔗 Ver en Google Maps',
+            selectorOpenStreetMap: '🗺️ Ver en OpenStreetMap',
+            selectorConfirm: '🏁 Seleccionar Coordenadas',
+            selectorFormats: 'Otros formatos',
+            selectorEmpty: '❌ Primero selecciona un punto en el mapa',
+            selectorOutsideZone: '❌ El punto está fuera de las zonas permitidas',
+            selectorOutsideZoneWarning: '⚠️ El punto está fuera de las zonas permitidas',
+            selectorOutsideBounds: '❌ El punto está fuera del área permitida',
+            selectorZoomIn: '🔍 Acércate más (zoom {zoom}) para marcar el punto con precisión',
+            selectorPrecision: '❌ La coordenada necesita al menos {decimals} decimales',
+            selectorInvalid: '❌ El punto no es válido',
+            selectorMaxPoints: '❌ Solo puedes marcar {max} puntos',
+            selectorPoint: '📍 Punto {n}',
+            selectorRemove: '🗑️ Quitar punto',
+            selectorUndo: 'Deshacer último punto',
+            selectorClear: 'Quitar todos los puntos',
+            itineraryTitle: 'Indicaciones',
+            routeAlternative: 'Ruta {n}',
+            drawPoint: 'Punto',
+            drawPolyline: 'Línea (doble clic para terminar)',
+            drawPolygon: 'Polígono (doble clic o clic en el primer vértice para terminar)',
+            drawCircle: 'Círculo (clic en el centro y clic para el radio)',
+            drawRectangle: 'Rectángulo (clic en dos esquinas)',
+            drawEdit: 'Editar figuras',
+            drawDelete: 'Eliminar figuras',
+            windowTitle: 'Mapa',
+            windowInstructions: 'Haz clic en el mapa para colocar un marcador de coordenadas.',
+            printLegend: 'Leyenda',
+            printSummary: 'Resumen',
+            printDistance: 'Distancia',
+            printDuration: 'Duración',
+            printStops: 'Paradas',
+            printRoute: 'Ruta',
+            printStop: 'Parada {n}',
+        },
+        en: {
+            searchPlaceholder: 'Search city',
+            searchNotFound: 'City not found',
+            goToPlaceholder: 'Go to coordinates (DMS, UTM, MGRS...)',
+            goToInvalid: 'Unrecognized coordinate',
+            selectorTitle: '🏁📦 Selected point',
+            selectorSearching: '🔎 Looking up address…',
+            selectorLatLng: 'Latitude: {lat}<br>Longitude: {lng}',
+            selectorGoogleMaps: '🔗 View on Google Maps',
+            selectorOpenStreetMap: '🗺️ View on OpenStreetMap',
+            selectorConfirm: '🏁 Select Coordinates',
+            selectorFormats: 'Other formats',
+            selectorEmpty: '❌ Select a point on the map first',
+            selectorOutsideZone: '❌ The point is outside the allowed zones',
+            selectorOutsideZoneWarning: '⚠️ The point is outside the allowed zones',
+            selectorOutsideBounds: '❌ The point is outside the allowed area',
+            selectorZoomIn: '🔍 Zoom in (level {zoom}) to place the point precisely',
+            selectorPrecision: '❌ The coordinate needs at least {decimals} decimal places',
+            selectorInvalid: '❌ The point is not valid',
+            selectorMaxPoints: '❌ You can only place {max} points',
+            selectorPoint: '📍 Point {n}',
+            selectorRemove: '🗑️ Remove point',
+            selectorUndo: 'Undo last point',
+            selectorClear: 'Remove all points',
+            itineraryTitle: 'Directions',
+            routeAlternative: 'Route {n}',
+            drawPoint: 'Point',
+            drawPolyline: 'Line (double-click to finish)',
+            drawPolygon: 'Polygon (double-click or click the first vertex to finish)',
+            drawCircle: 'Circle (click the center, then click to set the radius)',
+            drawRectangle: 'Rectangle (click two corners)',
+            drawEdit: 'Edit shapes',
+            drawDelete: 'Delete shapes',
+            windowTitle: 'Map',
+            windowInstructions: 'Click anywhere on the map to place a coordinate marker.',
+            printLegend: 'Legend',
+            printSummary: 'Summary',
+            printDistance: 'Distance',
+            printDuration: 'Duration',
+            printStops: 'Stops',
+            printRoute: 'Route',
+            printStop: 'Stop {n}',
+        },
+    };
+
+    /**
+     * Textos para las instrucciones paso a paso que no vienen redactadas por el router (OSRM, mock),
+     * por idioma (routeOptions.language, por defecto config.locale; si no existe se usa 'es').
+     * {modifier}, {exit}, {direction} y {n} se reemplazan; street (" por {street}") se agrega si hay nombre de vía.
+     */
+    static INSTRUCTION_TEXTS = {
+        es: {
+            types: {
+                depart: 'Salga hacia el {direction}',
+                arrive: 'Ha llegado a su destino',
+                arriveWaypoint: 'Ha llegado a la parada {n}',
+                turn: 'Gire {modifier}',
+                continue: 'Continúe {modifier}',
+                'new name': 'Continúe {modifier}',
+                merge: 'Incorpórese {modifier}',
+                'on ramp': 'Tome la rampa {modifier}',
+                'off ramp': 'Tome la salida {modifier}',
+                fork: 'En la bifurcación, manténgase {modifier}',
+                'end of road': 'Al final de la vía, gire {modifier}',
+                roundabout: 'En la rotonda, tome la salida {exit}',
+                rotary: 'En la rotonda, tome la salida {exit}',
+            },
+            modifiers: {
+                left: 'a la izquierda',
+                right: 'a la derecha',
+                'sharp left': 'bruscamente a la izquierda',
+                'sharp right': 'bruscamente a la derecha',
+                'slight left': 'ligeramente a la izquierda',
+                'slight right': 'ligeramente a la derecha',
+                straight: 'recto',
+                uturn: 'en U',
+            },
+            directions: ['norte', 'noreste', 'este', 'sureste', 'sur', 'suroeste', 'oeste', 'noroeste'],
+            street: ' por {street}',
+        },
+        en: {
+            types: {
+                depart: 'Head {direction}',
+                arrive: 'You have arrived at your destination',
+                arriveWaypoint: 'You have arrived at stop {n}',
+                turn: 'Turn {modifier}',
+                continue: 'Continue {modifier}',
+                'new name': 'Continue {modifier}',
+                merge: 'Merge {modifier}',
+                'on ramp': 'Take the ramp {modifier}',
+                'off ramp': 'Take the exit {modifier}',
+                fork: 'At the fork, keep {modifier}',
+                'end of road': 'At the end of the road, turn {modifier}',
+                roundabout: 'At the roundabout, take exit {exit}',
+                rotary: 'At the roundabout, take exit {exit}',
+            },
+            modifiers: {
+                left: 'left',
+                right: 'right',
+                'sharp left': 'sharp left',
+                'sharp right': 'sharp right',
+                'slight left': 'slightly left',
+                'slight right': 'slightly right',
+                straight: 'straight',
+                uturn: 'around',
+            },
+            directions: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+            street: ' on {street}',
+        },
+    };
+
+    /** Signos de instrucción de GraphHopper → [type, modifier] de OSRM. */
+    static #GRAPHHOPPER_SIGNS = {
+        '-98': ['turn', 'uturn'], '-8': ['turn', 'uturn'], '-7': ['fork', 'left'], '-3': ['turn', 'sharp left'],
+        '-2': ['turn', 'left'], '-1': ['turn', 'slight left'], 0: ['continue', 'straight'],
+        1: ['turn', 'slight right'], 2: ['turn', 'right'], 3: ['turn', 'sharp right'], 4: ['arrive', null],
+        5: ['arrive', null], 6: ['roundabout', null], 7: ['fork', 'right'], 8: ['turn', 'uturn'],
+    };
+
+    /** Tipos de maniobra de Valhalla → [type, modifier] de OSRM. */
+    static #VALHALLA_TYPES = {
+        1: ['depart', null], 2: ['depart', 'right'], 3: ['depart', 'left'], 4: ['arrive', null],
+        5: ['arrive', 'right'], 6: ['arrive', 'left'], 7: ['new name', 'straight'], 8: ['continue', 'straight'],
+        9: ['turn', 'slight right'], 10: ['turn', 'right'], 11: ['turn', 'sharp right'], 12: ['turn', 'uturn'],
+        13: ['turn', 'uturn'], 14: ['turn', 'sharp left'], 15: ['turn', 'left'], 16: ['turn', 'slight left'],
+        17: ['on ramp', 'straight'], 18: ['on ramp', 'right'], 19: ['on ramp', 'left'], 20: ['off ramp', 'right'],
+        21: ['off ramp', 'left'], 22: ['fork', 'straight'], 23: ['fork', 'right'], 24: ['fork', 'left'],
+        25: ['merge', 'straight'], 26: ['roundabout', null], 27: ['roundabout', null],
+        37: ['merge', 'right'], 38: ['merge', 'left'],
+    };
+
+    /**
+     * Adaptadores de enrutamiento. Cada fábrica devuelve un objeto { name, route(points, options) }
+     * cuyo route() resuelve { distance, duration, geometry, type, legs, instructions?, alternatives? }
+     * (metros, segundos, geometry como [[lat, lng], ...]) o null si no hay ruta.
+     * options: { profile?: 'driving'|'cycling'|'foot', alternatives?: boolean, steps?: boolean, language?: string }.
+     * Las rutas alternativas vienen en `alternatives` con la misma forma que la ruta principal.
+     * Con steps: true, instructions es [{ text, type, modifier, distance, duration, bearing,
+     * streetName, geometry, leg }, ...] (vocabulario de maniobras de OSRM).
+     * Se seleccionan con config.router o con routeOptions.router en drawRoute/drawWaypointRoute.
+     * @example
+     * new OpenStreetMap({ router: OpenStreetMap.ROUTERS.valhalla({ url: 'https://valhalla.interno' }) });
+     * map.drawRoute(a, b, { useRoadRoute: true, router: 'mock' });
+     */
+    static ROUTERS = {
+        /** OSRM (/route/v1/{perfil}). El perfil reemplaza el último segmento de url. */
+        osrm: ({ url = OpenStreetMap.OSRM_URL } = {}) => ({
+            name: 'osrm',
+            async route(points, { profile, alternatives = false, steps = false, language = 'es' } = {}) {
+                const endpoint = profile ? url.replace(/[^/]+$/, OpenStreetMap.PROFILES[profile].osrm) : url;
+                const waypoints = points.map(({ lat, lng }) => `${lng},${lat}`).join(';');
+                const response = await fetch(`${endpoint}/${waypoints}?overview=full&geometries=geojson&alternatives=${alternatives}&steps=${steps}`);
+                const data = await response.json();
+
+                const routes = (data.routes ?? []).map(route => ({
+                    distance: route.distance,
+                    duration: route.duration,
+                    geometry: route.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+                    type: 'road',
+                    legs: (route.legs ?? []).map(({ distance, duration }) => ({ distance, duration })),
+                    instructions: (route.legs ?? []).flatMap((leg, legIndex) =>
+                        (leg.steps ?? []).map(step => ({
+                            text: OpenStreetMap.#buildInstructionText(step.maneuver, step.name, legIndex, route.legs.length, language),
+                            type: step.maneuver.type,
+                            modifier: step.maneuver.modifier ?? null,
+                            distance: step.distance,
+                            duration: step.duration,
+                            bearing: step.maneuver.bearing_after,
+                            streetName: step.name || null,
+                            geometry: step.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+                            leg: legIndex,
+                        }))
+                    ),
+                }));
+                return OpenStreetMap.#withAlternatives(routes);
+            },
+        }),
+
+        /** GraphHopper (/route con points_encoded=false). */
+        graphhopper: ({ url = 'https://graphhopper.com/api/1', profile: defaultProfile = 'car', apiKey = null } = {}) => ({
+            name: 'graphhopper',
+            async route(points, { profile, alternatives = false, steps = false, language = 'es' } = {}) {
+                const params = new URLSearchParams({
+                    profile: profile ? OpenStreetMap.PROFILES[profile].graphhopper : defaultProfile,
+                    points_encoded: 'false',
+                    instructions: 'true',
+                    locale: language,
+                });
+                points.forEach(({ lat, lng }) => params.append('point', `${lat},${lng}`));
+                if (alternatives) params.append('algorithm', 'alternative_route');
+                if (apiKey) params.append('key', apiKey);
+
+                const response = await fetch(`${url}/route?${params}`);
+                const data = await response.json();
+
+                const routes = (data.paths ?? []).map(path => {
+                    const geometry = path.points.coordinates.map(([lng, lat]) => [lat, lng]);
+
+                    // GraphHopper no separa tramos: se cortan las instrucciones en cada parada
+                    // intermedia (sign 5) y en la llegada (sign 4).
+                    const legs = [];
+                    const instructions = [];
+                    let leg = { distance: 0, duration: 0 };
+                    (path.instructions ?? []).forEach(({ distance, time, sign, text, street_name, heading, interval }) => {
+                        if (steps) {
+                            const [type, modifier] = OpenStreetMap.#GRAPHHOPPER_SIGNS[sign] ?? ['continue', null];
+                            const stepGeometry = geometry.slice(interval[0], interval[1] + 1);
+                            instructions.push({
+                                text,
+                                type,
+                                modifier,
+                                distance,
+                                duration: time / 1000,
+                                bearing: heading ?? OpenStreetMap.#bearing(stepGeometry[0], stepGeometry[1]),
+                                streetName: street_name || null,
+                                geometry: stepGeometry,
+                                leg: legs.length,
+                            });
+                        }
+
+                        leg.distance += distance;
+                        leg.duration += time / 1000;
+                        if (sign === 4 || sign === 5) {
+                            legs.push(leg);
+                            leg = { distance: 0, duration: 0 };
+                        }
+                    });
+
+                    return {
+                        distance: path.distance,
+                        duration: path.time / 1000,
+                        geometry,
+                        type: 'road',
+                        legs,
+                        instructions,
+                    };
+                });
+                return OpenStreetMap.#withAlternatives(routes);
+            },
+        }),
+
+        /** Valhalla (/route, geometría polyline6 por tramo). */
+        valhalla: ({ url = 'https://valhalla1.openstreetmap.de', costing = 'auto' } = {}) => ({
+            name: 'valhalla',
+            async route(points, { profile, alternatives = false, steps = false, language = 'es' } = {}) {
+                const response = await fetch(`${url}/route`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        locations: points.map(({ lat, lng }) => ({ lat: parseFloat(lat), lon: parseFloat(lng) })),
+                        costing: profile ? OpenStreetMap.PROFILES[profile].valhalla : costing,
+                        directions_options: { units: 'kilometers', language },
+                        ...(alternatives && { alternates: 2 }),
+                    }),
+                });
+                const data = await response.json();
+
+                const routes = [data, ...(data.alternates ?? [])]
+                    .map(({ trip }) => trip)
+                    .filter(trip => trip?.legs?.length)
+                    .map(trip => {
+                        const legShapes = trip.legs.map(leg => OpenStreetMap.#decodePolyline(leg.shape, 6));
+                        return {
+                            distance: trip.summary.length * 1000,
+                            duration: trip.summary.time,
+                            geometry: legShapes.flat(),
+                            type: 'road',
+                            legs: trip.legs.map(({ summary }) => ({ distance: summary.length * 1000, duration: summary.time })),
+                            instructions: !steps ? [] : trip.legs.flatMap((leg, legIndex) =>
+                                (leg.maneuvers ?? []).map(maneuver => {
+                                    const [type, modifier] = OpenStreetMap.#VALHALLA_TYPES[maneuver.type] ?? ['continue', null];
+                                    return {
+                                        text: maneuver.instruction,
+                                        type,
+                                        modifier,
+                                        distance: maneuver.length * 1000,
+                                        duration: maneuver.time,
+                                        bearing: maneuver.bearing_after ?? null,
+                                        streetName: maneuver.street_names?.[0] ?? null,
+                                        geometry: legShapes[legIndex].slice(maneuver.begin_shape_index, maneuver.end_shape_index + 1),
+                                        leg: legIndex,
+                                    };
+                                })
+                            ),
+                        };
+                    });
+                return OpenStreetMap.#withAlternatives(routes);
+            },
+        }),
+
+        /**
+         * Función propia: (points, options) => Promise<{ distance, duration, geometry, type, legs?, instructions?, alternatives? } | null>.
+         * Se pasa la función directamente como router; por nombre ('custom') no hay función que llamar.
+         */
+        custom: (routeFn) => {
+            if (typeof routeFn !== 'function') {
+                throw new Error("El router 'custom' necesita una función: pasa la función como router en lugar del nombre.");
+            }
+            return { name: 'custom', route: routeFn };
+        },
+
+        /**
+         * Router local sin red, para pruebas: une los puntos en línea recta y estima
+         * la duración con speedKmh (o la velocidad del perfil pedido). Con fail: true
+         * simula un router caído. Con alternatives devuelve una alternativa un 20% más lenta.
+         */
+        mock: ({ speedKmh = null, delay = 0, fail = false } = {}) => ({
+            name: 'mock',
+            async route(points, { profile = 'driving', alternatives = false, steps = false, language = 'es' } = {}) {
+                if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+                if (fail) throw new Error('Mock router: fallo simulado');
+
+                const speed = speedKmh ?? OpenStreetMap.PROFILES[profile].speedKmh;
+                const geometry = points.map(({ lat, lng }) => [parseFloat(lat), parseFloat(lng)]);
+                const legs = geometry.slice(1).map((point, index) => {
+                    const distance = OpenStreetMap.#haversineDistance(...geometry[index], ...point);
+                    return { distance, duration: distance / (speed / 3.6) };
+                });
+
+                // Una instrucción de salida por tramo y una de llegada al final
+                const instructions = !steps ? [] : [
+                    ...legs.map((leg, index) => {
+                        const maneuver = { type: 'depart', bearing_after: OpenStreetMap.#bearing(geometry[index], geometry[index + 1]) };
+                        return {
+                            text: OpenStreetMap.#buildInstructionText(maneuver, null, index, legs.length, language),
+                            type: 'depart',
+                            modifier: null,
+                            ...leg,
+                            bearing: maneuver.bearing_after,
+                            streetName: null,
+                            geometry: [geometry[index], geometry[index + 1]],
+                            leg: index,
+                        };
+                    }),
+                    {
+                        text: OpenStreetMap.#buildInstructionText({ type: 'arrive' }, null, legs.length - 1, legs.length, language),
+                        type: 'arrive',
+                        modifier: null,
+                        distance: 0,
+                        duration: 0,
+                        bearing: null,
+                        streetName: null,
+                        geometry: [geometry[geometry.length - 1]],
+                        leg: legs.length - 1,
+                    },
+                ];
+
+                const route = {
+                    distance: legs.reduce((total, leg) => total + leg.distance, 0),
+                    duration: legs.reduce((total, leg) => total + leg.duration, 0),
+                    geometry,
+                    type: 'road',
+                    legs,
+                    instructions,
+                };
+                if (!alternatives) return route;
+
+                const slower = legs.map(leg => ({ ...leg, duration: leg.duration * 1.2 }));
+                return OpenStreetMap.#withAlternatives([
+                    route,
+                    { ...route, duration: route.duration * 1.2, legs: slower },
+                ]);
+            },
+        }),
+    };
+
+    /**
+     * Proveedores de geocodificación para setupSearch y reverseGeocode. Cada fábrica devuelve un
+     * geocodificador compatible con Control.Geocoder: { geocode(query), suggest?(query), reverse?(latlng) }
+     * que resuelven [{ name, center: L.LatLng, bbox: L.LatLngBounds, properties }, ...].
+     * Todas aceptan countryCodes (['ve', 'co']) y viewbox ([[sur, oeste], [norte, este]]) para restringir resultados.
+     * @example
+     * map.setupSearch({ geocoder: OpenStreetMap.GEOCODERS.photon({ url: 'https://photon.interno/api/' }) });
+     * map.setupSearch({ geocoder: OpenStreetMap.GEOCODERS.gazetteer(clientes) });
+     */
+    static GEOCODERS = {
+        /** Nominatim (público o propio). Las restricciones se envían al servidor. */
+        nominatim: ({ url = OpenStreetMap.DEFAULTS.geocoderUrl, countryCodes = null, viewbox = null } = {}) =>
+            L.Control.Geocoder.nominatim({
+                serviceUrl: url,
+                geocodingQueryParams: {
+                    ...(countryCodes && { countrycodes: countryCodes.join(',') }),
+                    ...(viewbox && { viewbox: L.latLngBounds(viewbox).toBBoxString(), bounded: 1 }),
+                },
+            }),
+
+        /** Photon. Solo admite bbox en el servidor; el país se filtra en el cliente. */
+        photon: ({ url = 'https://photon.komoot.io/api/', reverseUrl = 'https://photon.komoot.io/reverse/', countryCodes = null, viewbox = null } = {}) =>
+            OpenStreetMap.#restrictGeocoder(
+                L.Control.Geocoder.photon({
+                    serviceUrl: url,
+                    reverseUrl,
+                    geocodingQueryParams: viewbox ? { bbox: L.latLngBounds(viewbox).toBBoxString() } : {},
+                }),
+                { countryCodes }
+            ),
+
+        /** Pelias (geocode.earth o instancia propia). */
+        pelias: ({ url = 'https://api.geocode.earth/v1', apiKey = null, countryCodes = null, viewbox = null } = {}) => {
+            const bounds = viewbox && L.latLngBounds(viewbox);
+            return L.Control.Geocoder.pelias({
+                serviceUrl: url,
+                apiKey,
+                geocodingQueryParams: {
+                    ...(countryCodes && { 'boundary.country': countryCodes.join(',') }),
+                    ...(bounds && {
+                        'boundary.rect.min_lat': bounds.getSouth(),
+                        'boundary.rect.min_lon': bounds.getWest(),
+                        'boundary.rect.max_lat': bounds.getNorth(),
+                        'boundary.rect.max_lon': bounds.getEast(),
+                    }),
+                },
+            });
+        },
+
+        /**
+         * Gazetteer en memoria (p. ej. direcciones de clientes): [{ name, lat, lng, countryCode?, ... }].
+         * Busca por coincidencia parcial sin distinguir mayúsculas ni acentos en name (y en los
+         * campos extra de searchFields). reverse() devuelve la entrada más cercana dentro de reverseRadius metros.
+         */
+        gazetteer: (entries = [], { searchFields = [], limit = 5, reverseRadius = 50, countryCodes = null, viewbox = null } = {}) => {
+            const normalize = (text) => String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            const toResult = (entry) => {
+                const center = L.latLng(entry.lat, entry.lng);
+                return { name: entry.name, center, bbox: L.latLngBounds(center, center), properties: entry };
+            };
+            const index = entries.map(entry => ({
+                entry,
+                text: [entry.name, ...searchFields.map(field => entry[field])].map(normalize).join(' '),
+            }));
+
+            const geocode = async (query) => {
+                const term = normalize(query).trim();
+                if (!term) return [];
+
+                return index
+                    .map(({ entry, text }) => ({ entry, position: text.indexOf(term) }))
+                    .filter(({ position }) => position !== -1)
+                    .sort((a, b) => a.position - b.position)
+                    .slice(0, limit)
+                    .map(({ entry }) => toResult(entry));
+            };
+
+            return OpenStreetMap.#restrictGeocoder({
+                geocode,
+                suggest: geocode,
+                async reverse(latlng) {
+                    const nearest = entries
+                        .map(entry => ({ entry, distance: OpenStreetMap.#haversineDistance(latlng.lat, latlng.lng, entry.lat, entry.lng) }))
+                        .filter(({ distance }) => distance <= reverseRadius)
+                        .sort((a, b) => a.distance - b.distance)[0];
+                    return nearest ? [toResult(nearest.entry)] : [];
+                },
+            }, { countryCodes, viewbox });
+        },
+    };
 
     // ── Estado interno ─────────────────────────────────
     #map = null;
     #selectorMarker = null;
     #selectedCoords = null;
+    #selectedAddress = null;
+    #addressRequest = null;
     #isSelectorEnabled = false;
     #onSelectCallback = null;
+    #selectorOptions = {};
+    #selectorPoints = [];
+    #selectorToolbar = null;
+    #selectorClickHandler = null;
+    #selectorContainerHandler = null;
     #routeLayers = [];
-    #markers = [];
-    #circles = [];
+    #itineraryControl = null;
+    #searchMarker = null;
+    #goToMarker = null;
+    #markers = new Map();
+    #circles = new Map();
+    #markerAnimations = new Map();
+    #clusters = new Map();
+    #polygons = new Map();
+    #drawer = null;
+    #trackers = new Set();
+    #nearestLayers = [];
+    #nearestHandler = null;
+    #lastRoute = null;
+    #listeners = new Map();
+    #isReady = false;
+    #tileLayer = null;
+    #baseLayers = {};
+    #overlays = new Map();
+    #layerControl = null;
+    #hashState = null;
+    #playbacks = new Set();
+    #resizeObserver = null;
 
     // ── Inicialización ─────────────────────────────────
 
@@ -52,9 +632,39 @@ class OpenStreetMap {
      * @param {string}  [options.tileUrl]            - URL del tile layer.
      * @param {string}  [options.attribution]        - Texto de atribución.
      * @param {string}  [options.selectorIcon='📦']  - Emoji/icon del selector.
+     * @param {string|Function|Object} [options.router='osrm'] - Router para rutas por carretera:
+     *   nombre de OpenStreetMap.ROUTERS, función (points) => resultado, o adaptador { route() }.
+     *   Un nombre desconocido (o 'custom' sin función) lanza un Error al crear la instancia.
+     * @param {string|Object} [options.geocoder='nominatim'] - Proveedor de búsqueda y geocodificación inversa:
+     *   nombre de OpenStreetMap.GEOCODERS o un geocodificador { geocode(), suggest?(), reverse?() }.
+     * @param {string}  [options.geocoderUrl]        - Endpoint Nominatim (por defecto el público).
+     * @param {boolean} [options.reverseGeocode=false] - Resolver la dirección del punto del selector. Hace una
+     *   consulta por punto colocado: con el Nominatim público (uso limitado) conviene un geocoderUrl propio.
+     * @param {number}  [options.reverseGeocodeDelay=500] - Espera (ms) a que el selector se quede quieto antes de consultar.
+     * @param {number}  [options.reverseGeocodeTimeout=5000] - Tiempo máximo (ms) de la consulta de dirección.
+     * @param {boolean|Object} [options.offlineTiles=false] - Guardar los tiles en IndexedDB y usarlos sin conexión:
+     *   true o { maxTiles, maxAge, dbName } (ver TileCache.DEFAULTS; requiere offline.map.js).
+     * @param {Object}  [options.baseLayers]         - Capas base intercambiables: { 'Nombre': preset de
+     *   OpenStreetMap.BASE_LAYERS o { url, attribution, ...opciones de L.tileLayer } }. Sin ellas se usa tileUrl.
+     * @param {string}  [options.baseLayer]          - Nombre de la capa base inicial (por defecto la primera).
+     * @param {string|boolean} [options.layerControl='topright'] - Posición del selector de capas o false.
+     * @param {boolean} [options.urlHash=false]      - Restaurar la vista desde la URL al iniciar y mantenerla
+     *   actualizada: #map=zoom/lat/lng&sel=lat,lng&layer=Nombre.
+     * @param {string}  [options.locale='es']        - Idioma de los textos ('es', 'en' u otro de OpenStreetMap.MESSAGES)
+     *   y de los números, distancias y duraciones (cualquier etiqueta BCP 47, p. ej. 'en-US').
+     * @param {Object}  [options.messages]           - Reemplaza textos sueltos: { selectorConfirm: 'Usar este punto' }.
+     * @param {Function} [options.notify]            - (message, type) => void para los avisos al usuario
+     *   (type: 'error' | 'warning'); por defecto alert().
+     * @param {boolean} [options.autoResize=true]    - Llamar a invalidateSize() cuando cambia el tamaño del
+     *   contenedor (ventanas que se maximizan, paneles plegables...).
+     * @param {boolean} [options.exportable=false]   - Pedir los tiles con CORS (crossOrigin) para que exportImage()
+     *   y printMap() incluyan el fondo. Solo para servidores que envían Access-Control-Allow-Origin: con
+     *   otros los tiles dejan de cargarse. Cada capa base puede fijar su propio crossOrigin.
      */
     constructor(options = {}) {
         this.config = { ...OpenStreetMap.DEFAULTS, ...options };
+        // Un router mal configurado es un error de programación: se avisa aquí y no como fallback a línea recta
+        OpenStreetMap.#resolveRouter(this.config.router);
     }
 
     /**
@@ -67,32 +677,407 @@ class OpenStreetMap {
 
     /**
      * Inicializa el mapa Leaflet en el contenedor especificado.
-     * Los parámetros no proporcionados se toman de this.config.
+     * Los parámetros no proporcionados se toman de this.config. Si la instancia ya tenía un mapa,
+     * se desmonta primero (ver destroy); los handlers registrados con on() se conservan.
      * @param {Object}  [params]              - Parámetros de inicialización.
-     * @param {number}  [params.lat]           - Latitud central.
+     * @param {number|string} [params.lat]     - Latitud central, o una coordenada completa en cualquier
+     *   formato de Coordinates.parse (requiere coords.map.js).
      * @param {number}  [params.lng]           - Longitud central.
      * @param {string}  [params.containerId]   - ID del contenedor HTML.
      * @param {number}  [params.zoom]          - Nivel de zoom.
      * @returns {this} Para encadenamiento.
      * @example
      * map.initMap({ lat: 10.48, lng: -66.90, zoom: 12 });
+     * map.initMap({ lat: '19P GM 29446 61161', zoom: 15 });
      */
     initMap({ lat, lng, containerId, zoom } = {}) {
+        if (OpenStreetMap.#isCoordinateInput(lat)) ({ lat, lng } = this.#resolvePoint(lat) ?? {});
+
         lat = parseFloat(lat) || this.config.lat;
         lng = parseFloat(lng) || this.config.lng;
         containerId = containerId || this.config.containerId;
         zoom = parseInt(zoom) || this.config.zoom;
+
+        // Antes de leer la URL: el desmontaje limpia #hashState
+        if (this.#map) this.#teardown();
+
+        // La vista compartida por URL tiene prioridad sobre la configurada
+        if (this.config.urlHash) {
+            this.#hashState = OpenStreetMap.#parseHash(location.hash);
+            ({ lat = lat, lng = lng, zoom = zoom } = this.#hashState.view ?? {});
+            if (this.#hashState.layer) this.config.baseLayer = this.#hashState.layer;
+        }
+
+        const container = L.DomUtil.get(containerId);
+        if (!container) {
+            console.error(`OpenStreetMap: No existe el contenedor "${containerId}".`);
+            return this;
+        }
+        if (container._leaflet_id) {
+            console.error(`OpenStreetMap: El contenedor "${containerId}" ya tiene un mapa. Llama a destroy() en la otra instancia primero.`);
+            return this;
+        }
+
         this.config.lat = lat;
         this.config.lng = lng;
         this.config.zoom = zoom;
-        this.#map = L.map(containerId).setView([lat, lng], zoom);
-        L.tileLayer(this.config.tileUrl, {
-            attribution: this.config.attribution,
-        }).addTo(this.#map);
+        this.#map = L.map(container).setView([lat, lng], zoom);
+        this.#setupBaseLayers();
+
+        if (this.config.urlHash) {
+            this.#map.on('moveend baselayerchange', () => this.#writeHash());
+            window.addEventListener('hashchange', this.#handleHashChange);
+        }
+
+        if (this.config.autoResize && typeof ResizeObserver !== 'undefined') {
+            this.#observeResize(container);
+        }
+
+        this.#map.whenReady(() => {
+            this.#isReady = true;
+            this.#emit('ready', { lat, lng, zoom });
+        });
+        return this;
+    }
+
+    /**
+     * Desmonta el mapa: detiene seguimientos, reproducciones y animaciones, quita capas, controles y
+     * listeners (de Leaflet, del contenedor, de la ventana y los registrados con on()) y libera el
+     * contenedor. La URL no se modifica. La instancia puede volver a usarse con initMap().
+     * @returns {this}
+     * @example
+     * // Al desmontar la vista de la SPA
+     * map.destroy();
+     */
+    destroy() {
+        this.#teardown();
+        this.#listeners.clear();
+        return this;
+    }
+
+    // ── Capas base y grupos ────────────────────────────
+
+    /**
+     * Cambia la capa base activa (ver config.baseLayers).
+     * @param {string} name - Nombre de la capa base.
+     * @returns {this}
+     * @example
+     * map.setBaseLayer('Satélite');
+     */
+    setBaseLayer(name) {
+        if (!this.#requireMap()) return this;
+
+        const layer = this.#baseLayers[name];
+        if (!layer) {
+            console.warn(`OpenStreetMap: No existe la capa base "${name}".`);
+            return this;
+        }
+        if (layer === this.#tileLayer) return this;
+
+        this.#map.removeLayer(this.#tileLayer);
+        layer.addTo(this.#map);
+        this.#tileLayer = layer;
+        // Con selector de capas, Leaflet ya dispara 'baselayerchange' (y de ahí el evento)
+        if (!this.#layerControl) this.#emit('baseLayerChange', { name });
+        return this;
+    }
+
+    /**
+     * Crea un grupo de capas con nombre, que aparece en el selector de capas para mostrarlo
+     * u ocultarlo. Los marcadores, círculos, polígonos y rutas se asignan a un grupo con la
+     * opción `group`; el grupo se crea automáticamente la primera vez que se usa.
+     * @param {string}  name
+     * @param {Object}  [options]
+     * @param {boolean} [options.visible=true]
+     * @returns {this}
+     * @example
+     * map.addOverlay('Depósitos', { visible: false });
+     * map.addMarker(10.48, -66.90, '🏭', 'Depósito central', { group: 'Depósitos' });
+     * map.drawRoute(origen, destino, { group: 'Rutas de hoy' });
+     */
+    addOverlay(name, { visible = true } = {}) {
+        if (!this.#requireMap()) return this;
+
+        const group = this.#overlayGroup(name);
+        if (!visible) this.#map.removeLayer(group);
+        return this;
+    }
+
+    /**
+     * Muestra u oculta un grupo de capas.
+     * @param {string}  name
+     * @param {boolean} [visible=true]
+     * @returns {this}
+     */
+    toggleOverlay(name, visible = true) {
+        const group = this.#overlays.get(name);
+        if (!group) {
+            console.warn(`OpenStreetMap: No existe el grupo "${name}".`);
+            return this;
+        }
+
+        if (visible) group.addTo(this.#map);
+        else this.#map.removeLayer(group);
+        return this;
+    }
+
+    /**
+     * Nombres de los grupos de capas y si están visibles.
+     * @returns {Array<{name: string, visible: boolean}>}
+     */
+    getOverlays() {
+        return [...this.#overlays].map(([name, group]) => ({ name, visible: this.#map.hasLayer(group) }));
+    }
+
+    /**
+     * Quita del mapa (y de sus registros) todo lo asignado a un grupo. El grupo sigue existiendo.
+     * @param {string} name
+     * @returns {this}
+     */
+    clearOverlay(name) {
+        const group = this.#overlays.get(name);
+        if (!group) return this;
+
+        // Los marcadores agrupados dentro de una burbuja no están en el grupo de capas
+        this.findMarkers((data, marker) => marker.options.group === name)
+            .forEach(marker => this.removeMarker(marker.options.id));
+
+        group.getLayers().forEach(layer => {
+            const { id } = layer.options;
+            if (this.#markers.get(id) === layer) this.removeMarker(id);
+            else if (this.#circles.get(id) === layer) this.removeCircle(id);
+            else if (this.#polygons.get(id) === layer) this.removePolygon(id);
+            else if (layer instanceof L.Polyline) this.#removeRouteLayer(layer);
+            else group.removeLayer(layer);
+        });
+        return this;
+    }
+
+    // ── Estado del mapa ────────────────────────────────
+
+    /**
+     * Captura el estado del mapa en un objeto serializable a JSON: vista, capa base, grupos,
+     * posición del selector y lo dibujado (marcadores, círculos, polígonos y rutas, ver toGeoJSON).
+     * @returns {Object|null} { center: { lat, lng }, zoom, baseLayer, overlays, selector, features }
+     * @example
+     * soporte.adjuntar(JSON.stringify(map.getState()));
+     */
+    getState() {
+        if (!this.#requireMap()) return null;
+
+        const { lat, lng } = this.#map.getCenter();
+        const selected = this.getSelectedCoordinates();
+        return {
+            center: { lat, lng },
+            zoom: this.#map.getZoom(),
+            baseLayer: this.#baseLayerName(),
+            overlays: this.getOverlays(),
+            selector: selected ? { lat: selected.lat, lng: selected.lng } : null,
+            features: this.toGeoJSON(),
+        };
+    }
+
+    /**
+     * Restaura un estado capturado con getState(). Las partes omitidas no se modifican;
+     * si trae features, reemplaza los marcadores, círculos, polígonos y rutas actuales.
+     * @param {Object} state - { center, zoom, baseLayer, overlays, selector, features }
+     * @returns {this}
+     * @example
+     * map.setState(JSON.parse(estadoGuardado));
+     */
+    setState(state = {}) {
+        if (!this.#requireMap()) return this;
+
+        const { center, zoom, baseLayer, overlays, selector, features } = state;
+
+        if (features) {
+            this.clearRoutes();
+            this.clearMarkers();
+            this.clearCircles();
+            this.clearPolygons();
+            this.loadGeoJSON(features, { fitBounds: false });
+        }
+
+        if (baseLayer && this.#baseLayers[baseLayer]) this.setBaseLayer(baseLayer);
+        overlays?.forEach(({ name, visible }) => {
+            if (this.#overlays.has(name)) this.toggleOverlay(name, visible);
+        });
+
+        // clearMarkers también quita el marcador del selector: se vuelve a colocar
+        const selected = selector === undefined ? this.#selectedCoords : selector;
+        if (this.#isSelectorEnabled && selected) this.placeSelector(selected.lat, selected.lng);
+        else if (selector === null) this.clearSelector();
+
+        // Al final, para que el popup del selector no desplace la vista restaurada
+        if (center) this.setView(center.lat, center.lng, zoom);
+        return this;
+    }
+
+    // ── Tiles sin conexión ─────────────────────────────
+
+    /**
+     * Descarga y guarda los tiles de un área para usarla sin conexión (requiere offlineTiles).
+     * Los tiles ya guardados se omiten. Falla si el área supera el límite de tiles.
+     * @param {Array|L.LatLngBounds} [bounds] - [[sur, oeste], [norte, este]]; por defecto la vista actual.
+     * @param {number} [minZoom]  - Por defecto el zoom actual.
+     * @param {number} [maxZoom]  - Por defecto minZoom + 2.
+     * @param {Object} [options]  - { concurrency: 2, limit, onProgress, signal } (ver CachedTileLayer#prefetch).
+     *   onProgress recibe { done, total, failed, bytes, estimatedBytes }.
+     * @returns {Promise<Object|null>} { total, downloaded, cached, failed, bytes }, o null sin caché.
+     * @example
+     * const { tiles, bytes } = map.estimateArea(zona, 12, 16);
+     * if (confirm(`Descargar ${tiles} tiles (~${(bytes / 1048576).toFixed(1)} MB)?`)) {
+     *     await map.prefetchArea(zona, 12, 16, { onProgress: ({ done, total }) => barra.value = done / total });
+     * }
+     */
+    async prefetchArea(bounds, minZoom, maxZoom, options = {}) {
+        if (!this.#requireTileCache()) return null;
+
+        ({ bounds, minZoom, maxZoom } = this.#resolveArea(bounds, minZoom, maxZoom));
+        return this.#tileLayer.prefetch(bounds, minZoom, maxZoom, options);
+    }
+
+    /**
+     * Cuenta los tiles de un área y estima cuánto ocuparían, sin descargarlos.
+     * @param {Array|L.LatLngBounds} [bounds] - Por defecto la vista actual.
+     * @param {number} [minZoom]
+     * @param {number} [maxZoom]
+     * @returns {{tiles: number, bytes: number}|null}
+     */
+    estimateArea(bounds, minZoom, maxZoom) {
+        if (!this.#requireTileCache()) return null;
+
+        ({ bounds, minZoom, maxZoom } = this.#resolveArea(bounds, minZoom, maxZoom));
+        return this.#tileLayer.estimate(bounds, minZoom, maxZoom);
+    }
+
+    /**
+     * Cantidad de tiles guardados y espacio que ocupan.
+     * @returns {Promise<{tiles: number, bytes: number}|null>}
+     */
+    async getTileCacheStats() {
+        if (!this.#requireTileCache()) return null;
+        return this.#tileLayer.cache.stats();
+    }
+
+    /**
+     * Borra todos los tiles guardados.
+     * @returns {Promise<this>}
+     */
+    async clearTileCache() {
+        if (!this.#requireTileCache()) return this;
+
+        await this.#tileLayer.cache.clear();
+        return this;
+    }
+
+    // ── Eventos ────────────────────────────────────────
+
+    /**
+     * Suscribe un handler a un evento del wrapper:
+     * - ready:        { lat, lng, zoom } al crearse el mapa (si ya está listo, el handler se ejecuta de inmediato).
+     * - select:       coordenadas confirmadas (lo mismo que recibe el callback de setupSelector).
+     * - selectorMove: { lat, lng } al colocar o mover el selector.
+     * - selectorChange: { points } al agregar, mover o quitar puntos del selector múltiple.
+     * - routeDrawn:   resultado de drawRoute/drawWaypointRoute.
+     * - routeFailed:  { points, router, error } cuando el router falla y se usa línea recta.
+     * - markerClick:  { id, data, lat, lng, marker }.
+     * - searchResult: { name, lat, lng, bbox, properties } del buscador.
+     * - cleared:      { type: 'selector' | 'routes' | 'markers' | 'circles' | 'polygons' }.
+     * - baseLayerChange: { name } al cambiar la capa base.
+     * - drawCreated, drawEdited, drawDeleted: { type, id, layer, geojson } (ver enableDrawing).
+     * - trackUpdate:  { id, lat, lng, data } con cada posición recibida (ver track).
+     * - trackStale:   { id, lat, lng, lastSeen } cuando un vehículo deja de reportar.
+     * - trackError:   { error } si la fuente de seguimiento falla.
+     * @param {string}   event
+     * @param {Function} handler - Recibe el payload del evento.
+     * @returns {this}
+     * @example
+     * map.on('select', (coords) => guardar(coords))
+     *    .on('routeFailed', ({ error }) => console.warn('Sin router:', error?.message));
+     */
+    on(event, handler) {
+        return this.#addListener(event, handler, false);
+    }
+
+    /**
+     * Como on(), pero el handler se ejecuta solo la primera vez.
+     * @param {string}   event
+     * @param {Function} handler
+     * @returns {this}
+     */
+    once(event, handler) {
+        return this.#addListener(event, handler, true);
+    }
+
+    /**
+     * Quita un handler de un evento, o todos los del evento si se omite handler.
+     * @param {string}   event
+     * @param {Function} [handler]
+     * @returns {this}
+     */
+    off(event, handler) {
+        if (!handler) {
+            this.#listeners.delete(event);
+            return this;
+        }
 
+        const listeners = this.#listeners.get(event)?.filter(listener => listener.handler !== handler);
+        if (listeners?.length) this.#listeners.set(event, listeners);
+        else this.#listeners.delete(event);
         return this;
     }
 
+    // ── Idioma y formato ───────────────────────────────
+
+    /**
+     * Texto de la interfaz en el idioma configurado (ver OpenStreetMap.MESSAGES y config.messages).
+     * @param {string} key      - Clave del texto, p. ej. 'selectorConfirm'.
+     * @param {Object} [params] - Valores para los {marcadores} del texto.
+     * @returns {string} El texto, o la clave si no existe en ningún idioma.
+     */
+    translate(key, params = {}) {
+        const { locale, messages } = this.config;
+        const text = [messages, OpenStreetMap.MESSAGES[locale], OpenStreetMap.MESSAGES[locale.split('-')[0]], OpenStreetMap.MESSAGES.es]
+            .find(dictionary => dictionary?.[key] != null)?.[key] ?? key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+
+    /**
+     * Formatea un número según config.locale.
+     * @param {number} value
+     * @param {Object} [options] - Opciones de Intl.NumberFormat (p. ej. { maximumFractionDigits: 2 }).
+     * @returns {string}
+     * @example
+     * new OpenStreetMap({ locale: 'es' }).formatNumber(1234.5); // '1234,5'
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.config.locale, options).format(value);
+    }
+
+    /**
+     * Formatea una distancia en metros como "850 m" o "12,5 km" según config.locale.
+     * @param {number} meters
+     * @returns {string}
+     */
+    formatDistance(meters) {
+        return meters < 1000
+            ? this.formatNumber(Math.round(meters), { style: 'unit', unit: 'meter' })
+            : this.formatNumber(meters / 1000, { style: 'unit', unit: 'kilometer', maximumFractionDigits: 1 });
+    }
+
+    /**
+     * Formatea una duración en segundos como "45 min" o "1 h 5 min" según config.locale.
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        const unit = (value, name) => this.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+        if (minutes < 60) return unit(minutes, 'minute');
+        return minutes % 60 ? `${unit(Math.floor(minutes / 60), 'hour')} ${unit(minutes % 60, 'minute')}` : unit(minutes / 60, 'hour');
+    }
+
     // ── Búsqueda ───────────────────────────────────────
 
     /**
@@ -101,145 +1086,501 @@ class OpenStreetMap {
      * @param {Object}  [options]                - Opciones del geocoder.
      * @param {string}  [options.placeholder]     - Texto placeholder del input.
      * @param {string}  [options.errorMessage]    - Mensaje si no encuentra resultados.
+     * @param {string|Object} [options.geocoder]  - Proveedor (ver OpenStreetMap.GEOCODERS); por defecto config.geocoder.
+     * @param {string[]} [options.countryCodes]   - Restringe los resultados a estos países (ISO 3166-1 alfa-2).
+     * @param {Array}   [options.viewbox]         - Restringe los resultados a [[sur, oeste], [norte, este]].
+     * @param {string}  [options.resultAction='fit'] - Qué hacer con el resultado elegido:
+     *   'fit' (solo centrar), 'marker' (colocar un marcador) o 'selector' (mover el selector con placeSelector).
+     * @param {string}  [options.resultIcon='📍'] - Icono del marcador cuando resultAction es 'marker'.
+     * @param {Function} [options.onResult]      - Callback con { name, lat, lng, bbox, properties } del resultado elegido.
      * @returns {this} Para encadenamiento.
      * @example
      * map.initMap().setupSearch({ placeholder: 'Buscar dirección...' });
+     * map.setupSearch({
+     *     geocoder: 'photon',
+     *     countryCodes: ['ve'],
+     *     resultAction: 'selector',
+     *     onResult: (result) => console.log(result.name),
+     * });
      */
     setupSearch(options = {}) {
         if (!this.#requireMap()) return this;
 
+        const {
+            geocoder: provider = this.config.geocoder,
+            countryCodes = null,
+            viewbox = null,
+            resultAction = 'fit',
+            resultIcon = '📍',
+            onResult = null,
+            ...controlOptions
+        } = options;
 
         const geocoder = L.Control.geocoder({
             defaultMarkGeocode: false,
-            placeholder: options.placeholder ?? 'Buscar ciudad',
-            errorMessage: options.errorMessage ?? 'No se encontró la ciudad',
+            placeholder: controlOptions.placeholder ?? this.translate('searchPlaceholder'),
+            errorMessage: controlOptions.errorMessage ?? this.translate('searchNotFound'),
             showResultIcons: false,
             collapsed: false,
             expand: 'click',
-            ...options,
+            ...controlOptions,
+            geocoder: this.#resolveGeocoder(provider, { countryCodes, viewbox }),
         });
 
         geocoder.on('markgeocode', (e) => {  // arrow fn = `this` correcto
-            const { bbox } = e.geocode;
+            const { bbox, center, name, properties } = e.geocode;
             this.#map.fitBounds([
                 [bbox.getSouth(), bbox.getWest()],
                 [bbox.getNorth(), bbox.getEast()],
             ]);
+
+            if (resultAction === 'marker') {
+                if (this.#searchMarker) this.removeMarker(this.#searchMarker.options.id);
+                this.#searchMarker = this.addMarker(center.lat, center.lng, resultIcon, OpenStreetMap.#escapeHtml(name));
+            } else if (resultAction === 'selector') {
+                this.placeSelector(center.lat.toFixed(8), center.lng.toFixed(8));
+            }
+
+            const result = { name, lat: center.lat, lng: center.lng, bbox, properties };
+            onResult?.(result);
+            this.#emit('searchResult', result);
         });
 
         geocoder.addTo(this.#map);
         return this;
     }
 
+    // ── Ir a coordenadas ───────────────────────────────
+
+    /**
+     * Agrega un campo para ir a una coordenada escrita en cualquier formato de Coordinates.parse
+     * (decimal, DMS, UTM, MGRS o plus code). Requiere coords.map.js.
+     * @param {Object}  [options]
+     * @param {string}  [options.position='topleft']  - Posición del control.
+     * @param {string}  [options.placeholder]         - Texto placeholder del input.
+     * @param {string}  [options.errorMessage]        - Mensaje si la coordenada no se reconoce.
+     * @param {number}  [options.zoom]                - Zoom al ir al punto (por defecto, el actual).
+     * @param {string}  [options.action='view']       - 'view' (solo centrar), 'marker' (colocar un marcador)
+     *   o 'selector' (mover el selector con placeSelector).
+     * @param {string}  [options.icon='📍']           - Icono del marcador cuando action es 'marker'.
+     * @param {Function} [options.onResult]           - Callback con { lat, lng, format, input }.
+     * @returns {this} Para encadenamiento.
+     * @example
+     * map.initMap().setupSelector(guardar).setupGoTo({ action: 'selector', zoom: 16 });
+     */
+    setupGoTo(options = {}) {
+        if (!this.#requireMap()) return this;
+        if (typeof Coordinates === 'undefined') {
+            console.warn('OpenStreetMap: coords.map.js no está cargado, no se puede agregar el control de coordenadas.');
+            return this;
+        }
+
+        const {
+            position = 'topleft',
+            placeholder = this.translate('goToPlaceholder'),
+            errorMessage = this.translate('goToInvalid'),
+            zoom = null,
+            action = 'view',
+            icon = '📍',
+            onResult = null,
+        } = options;
+
+        const control = L.control({ position });
+        control.onAdd = () => {
+            const form = L.DomUtil.create('form', 'map-goto leaflet-bar');
+            L.DomEvent.disableClickPropagation(form);
+
+            const input = L.DomUtil.create('input', 'map-goto-input', form);
+            Object.assign(input, { type: 'text', placeholder });
+
+            const button = L.DomUtil.create('button', 'map-goto-btn', form);
+            Object.assign(button, { type: 'submit', textContent: '🎯' });
+
+            const error = L.DomUtil.create('div', 'map-goto-error', form);
+            error.hidden = true;
+            input.addEventListener('input', () => { error.hidden = true; });
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const point = Coordinates.parse(input.value, { reference: this.#map.getCenter() });
+                error.textContent = point ? '' : errorMessage;
+                error.hidden = Boolean(point);
+                if (!point) return;
+
+                this.setView(point.lat, point.lng, zoom);
+                if (action === 'marker') {
+                    if (this.#goToMarker) this.removeMarker(this.#goToMarker.options.id);
+                    this.#goToMarker = this.addMarker(point.lat, point.lng, icon, OpenStreetMap.#escapeHtml(input.value));
+                } else if (action === 'selector') {
+                    this.placeSelector(point.lat.toFixed(8), point.lng.toFixed(8));
+                }
+
+                onResult?.({ ...point, input: input.value });
+            });
+
+            return form;
+        };
+        control.addTo(this.#map);
+        return this;
+    }
+
     // ── Selector de coordenadas ────────────────────────
 
     /**
      * Habilita la selección de coordenadas haciendo clic en el mapa.
      * Al hacer clic aparece un marcador con popup y botón de confirmar.
+     * Llamarlo de nuevo reemplaza la configuración anterior (ver destroySelector).
      * @param {Function} [onSelect] - Callback que recibe las coordenadas al confirmar.
-     *   Se invoca con: { lat, lng, timestamp, formatted, googleMapsUrl, openStreetMapUrl }
+     *   Se invoca con: { lat, lng, timestamp, formatted, googleMapsUrl, openStreetMapUrl, address }
+     *   y, si se usa options.outsideZone, también { insideZone, zones } (ids de las zonas que lo contienen).
+     *   Con options.multiple recibe un arreglo de puntos en el orden en que se marcaron (ver getSelectedPoints).
+     * @param {Object} [options]
+     * @param {boolean} [options.draggable=false] - El marcador (o los puntos) se pueden arrastrar para ajustarlos.
+     * @param {boolean} [options.multiple=false]  - Cada clic agrega un punto numerado en lugar de mover el marcador.
+     *   Se muestra una barra para deshacer, quitar todos y confirmar; cada popup permite quitar su punto.
+     * @param {number}  [options.maxPoints]       - Máximo de puntos en modo multiple.
+     * @param {string}  [options.toolbarPosition='topleft'] - Posición de la barra del modo multiple.
+     * @param {Array|L.LatLngBounds} [options.bounds] - [[sur, oeste], [norte, este]]: rechaza puntos fuera del área.
+     * @param {number}  [options.minZoom]         - Precisión mínima: ignora los clics con menos zoom que este.
+     * @param {number}  [options.minDecimals]     - Precisión mínima de coordenadas escritas (placeSelector, URL).
+     * @param {string}  [options.outsideZone]     - 'reject' (no confirma) o 'warn' (avisa y confirma) cuando
+     *   el punto queda fuera de las zonas permitidas. Sin zonas dibujadas no se valida.
+     * @param {Array}   [options.allowedZones]    - Ids de círculos/polígonos permitidos (por defecto, todos).
+     * @param {Function} [options.validate]       - (punto) => true/null si es válido, o el mensaje de error (false
+     *   usa el texto "selectorInvalid").
+     * @param {Function} [options.renderError]    - ({ code, message, type }, punto) para mostrar los errores a tu
+     *   manera; por defecto se usa config.notify (o alert). code: 'empty' | 'outsideBounds' | 'zoom' | 'precision' |
+     *   'outsideZone' | 'custom' | 'maxPoints'; type: 'error' | 'warning'.
      * @returns {this} Para encadenamiento.
      * @example
      * map.setupSelector((coords) => {
      *     console.log(`Seleccionado: ${coords.formatted}`);
      *     console.log(`Google Maps: ${coords.googleMapsUrl}`);
      * });
+     *
+     * // Solo dentro de la zona de cobertura
+     * map.setupSelector(guardarDireccion, { outsideZone: 'reject', allowedZones: ['cobertura'] });
+     *
+     * // Varias paradas arrastrables dentro de Caracas, con los errores en el formulario
+     * map.setupSelector(guardarParadas, {
+     *     multiple: true, draggable: true, maxPoints: 10, minZoom: 15,
+     *     bounds: [[10.38, -67.06], [10.55, -66.74]],
+     *     renderError: ({ message }) => { errorLabel.textContent = message; },
+     * });
      */
-    setupSelector(onSelect = () => { }) {
+    setupSelector(onSelect = () => { }, options = {}) {
         if (!this.#requireMap()) return this;
 
+        // Volver a configurarlo reemplaza los handlers en lugar de acumularlos
+        this.destroySelector();
+
         this.#isSelectorEnabled = true;
         this.#onSelectCallback = onSelect;
+        this.#selectorOptions = options;
 
-        this.#map.on('click', (e) => this.#handleMapClick(e));
+        this.#selectorClickHandler = (e) => this.#handleMapClick(e);
+        this.#map.on('click', this.#selectorClickHandler);
 
-        // Delegación de eventos: escuchar clics en el botón de confirmar
-        this.#map.getContainer().addEventListener('click', (e) => {
+        // Delegación de eventos: escuchar clics en los botones de los popups
+        this.#selectorContainerHandler = (e) => {
             if (e.target.closest('.map-selector-confirm-btn')) {
                 this.confirmSelection();
             }
-        });
+            const removeButton = e.target.closest('.map-selector-remove-btn');
+            if (removeButton) {
+                this.removeSelectorPoint(Number(removeButton.dataset.index));
+            }
+        };
+        this.#map.getContainer().addEventListener('click', this.#selectorContainerHandler);
+
+        if (options.multiple) {
+            this.#addSelectorToolbar(options.toolbarPosition ?? 'topleft');
+            return this;
+        }
 
-        // Colocar marcador por defecto cuando el mapa esté listo
+        // Colocar marcador por defecto (o el de la URL) cuando el mapa esté listo
         this.#map.whenReady(() => {
-            this.placeSelector(this.config.lat, this.config.lng);
+            const { lat, lng } = this.#hashState?.selector ?? this.config;
+            this.placeSelector(lat, lng);
         });
 
         return this;
     }
 
     /**
-     * Coloca o mueve el marcador del selector a una posición específica.
-     * Reemplaza el marcador anterior si existe.
-     * @param {number} lat  - Latitud del punto.
-     * @param {number} lng  - Longitud del punto.
-     * @param {string} [icon] - Emoji/icono para el marcador (usa config.selectorIcon por defecto).
+     * Desactiva el selector: quita sus marcadores, la barra del modo multiple, las líneas de showNearest
+     * y los handlers de clic que registró setupSelector.
+     * @returns {this}
+     */
+    destroySelector() {
+        if (!this.#map || !this.#isSelectorEnabled) return this;
+
+        this.#detachSelector();
+        this.#writeHash();
+        return this;
+    }
+
+    /** Quita el selector y sus handlers sin tocar la URL (ver destroySelector y destroy). */
+    #detachSelector() {
+        this.#map.off('click', this.#selectorClickHandler);
+        this.#map.getContainer().removeEventListener('click', this.#selectorContainerHandler);
+        this.#selectorClickHandler = null;
+        this.#selectorContainerHandler = null;
+
+        this.#selectorToolbar?.remove();
+        this.#selectorToolbar = null;
+        this.hideNearest();
+        this.#removeSelectorMarker();
+        this.#removeSelectorPoints();
+
+        this.#isSelectorEnabled = false;
+        this.#onSelectCallback = null;
+        this.#selectorOptions = {};
+    }
+
+    /**
+     * Coloca o mueve el marcador del selector a una posición específica.
+     * Reemplaza el marcador anterior si existe.
+     * También acepta una coordenada completa como primer argumento: placeSelector(coordenada, icon).
+     * En modo multiple agrega un punto (ver addSelectorPoint).
+     * @param {number|string|Array|Object} lat - Latitud, o coordenada en cualquier formato de Coordinates.parse.
+     * @param {number} lng  - Longitud del punto.
+     * @param {string} [icon] - Emoji/icono para el marcador (usa config.selectorIcon por defecto).
      */
     placeSelector(lat, lng, icon) {
         if (!this.#requireSelector()) return;
+        if (OpenStreetMap.#isCoordinateInput(lat)) {
+            const point = this.#resolvePoint(lat);
+            if (point) this.placeSelector(point.lat.toFixed(8), point.lng.toFixed(8), lng);
+            return;
+        }
+        if (this.#selectorOptions.multiple) {
+            this.addSelectorPoint(lat, lng);
+            return;
+        }
 
         icon = icon ?? this.config.selectorIcon;
-        this.clearSelector();
+        this.#removeSelectorMarker();
 
         this.#selectedCoords = { lat, lng };
-        const popup = this.#buildSelectorPopup(lat, lng);
-        this.#selectorMarker = this.addMarker(lat, lng, icon, popup);
+        const popup = this.#buildSelectorPopup(lat, lng, this.config.reverseGeocode ? undefined : null);
+        const marker = this.addMarker(lat, lng, icon, popup, { draggable: Boolean(this.#selectorOptions.draggable) });
+        marker.on('dragend', () => {
+            const { lat: newLat, lng: newLng } = marker.getLatLng();
+            this.placeSelector(newLat.toFixed(8), newLng.toFixed(8), icon);
+        });
+        this.#selectorMarker = marker;
+
+        if (this.config.reverseGeocode) {
+            this.#resolveSelectorAddress(lat, lng);
+        }
+
+        this.#writeHash();
+        this.#emit('selectorMove', { lat: parseFloat(lat), lng: parseFloat(lng) });
     }
 
     /**
-     * Elimina el marcador del selector y limpia las coordenadas seleccionadas.
+     * Elimina el marcador del selector (o todos los puntos en modo multiple) y limpia las coordenadas seleccionadas.
      */
     clearSelector() {
-        if (!this.#map || !this.#selectorMarker) return;
+        if (!this.#map || (!this.#selectorMarker && this.#selectorPoints.length === 0)) return;
 
-        this.#map.removeLayer(this.#selectorMarker);
-        this.#selectorMarker = null;
-        this.#selectedCoords = null;
+        this.#removeSelectorMarker();
+        if (this.#selectorPoints.length) {
+            this.#removeSelectorPoints();
+            this.#emit('selectorChange', { points: [] });
+        }
+        this.#clearNearestLines();
+        this.#writeHash();
+        this.#emit('cleared', { type: 'selector' });
     }
 
     /**
      * Obtiene las coordenadas actualmente seleccionadas.
-     * @returns {Object|null} Objeto con lat, lng, timestamp, formatted, googleMapsUrl, openStreetMapUrl.
-     *   Retorna null si no hay punto seleccionado.
+     * @returns {Object|null} Objeto con lat, lng, timestamp, formatted, googleMapsUrl, openStreetMapUrl
+     *   y address (ver reverseGeocode; null si no se resolvió o está desactivado). Con coords.map.js
+     *   cargado incluye además dms, utm, mgrs y plusCode. Retorna null si no hay punto seleccionado
+     *   (en modo multiple, ver getSelectedPoints).
      */
     getSelectedCoordinates() {
         if (!this.#selectedCoords) return null;
 
         const { lat, lng } = this.#selectedCoords;
-        return {
-            lat: parseFloat(lat),
-            lng: parseFloat(lng),
-            timestamp: new Date().toISOString(),
-            formatted: `${lat}, ${lng}`,
-            googleMapsUrl: OpenStreetMap.LINKS.googleMaps(lat, lng),
-            openStreetMapUrl: OpenStreetMap.LINKS.openStreetMap(lat, lng),
-        };
+        return this.#describePoint(lat, lng, this.#selectedAddress);
+    }
+
+    /**
+     * Agrega un punto al selector múltiple (setupSelector con multiple: true), al final de la lista.
+     * Acepta también una coordenada completa: addSelectorPoint(coordenada).
+     * @param {number|string|Array|Object} lat - Latitud, o coordenada en cualquier formato de Coordinates.parse.
+     * @param {number} [lng] - Longitud.
+     * @returns {this}
+     */
+    addSelectorPoint(lat, lng) {
+        if (!this.#requireMultipleSelector()) return this;
+        if (OpenStreetMap.#isCoordinateInput(lat)) {
+            const point = this.#resolvePoint(lat);
+            return point ? this.addSelectorPoint(point.lat.toFixed(8), point.lng.toFixed(8)) : this;
+        }
+
+        const { maxPoints } = this.#selectorOptions;
+        if (maxPoints != null && this.#selectorPoints.length >= maxPoints) {
+            this.#reportSelectorIssue({ code: 'maxPoints', type: 'error', message: this.translate('selectorMaxPoints', { max: maxPoints }) },
+                { lat: parseFloat(lat), lng: parseFloat(lng) });
+            return this;
+        }
+
+        this.#selectorPoints.push({ lat, lng, marker: null });
+        this.#renderSelectorPoints();
+        return this;
+    }
+
+    /**
+     * Quita el último punto agregado al selector múltiple.
+     * @returns {this}
+     */
+    undoSelectorPoint() {
+        return this.removeSelectorPoint(this.#selectorPoints.length - 1);
+    }
+
+    /**
+     * Quita un punto del selector múltiple; los siguientes se renumeran.
+     * @param {number} index - Posición del punto (0 = el primero marcado).
+     * @returns {this}
+     */
+    removeSelectorPoint(index) {
+        if (!this.#requireMultipleSelector()) return this;
+
+        const [point] = index >= 0 ? this.#selectorPoints.splice(index, 1) : [];
+        if (!point) return this;
+
+        this.#removeLayer(point.marker);
+        this.#renderSelectorPoints();
+        return this;
+    }
+
+    /**
+     * Obtiene los puntos del selector múltiple en el orden en que se marcaron.
+     * @returns {Array<Object>} [{ index, lat, lng, timestamp, formatted, googleMapsUrl, openStreetMapUrl,
+     *   address: null, ... }] (los mismos campos que getSelectedCoordinates, sin buscar la dirección).
+     */
+    getSelectedPoints() {
+        return this.#selectorPoints.map(({ lat, lng }, index) => ({ index, ...this.#describePoint(lat, lng, null) }));
     }
 
     /**
      * Confirma la selección actual y ejecuta el callback registrado en setupSelector.
-     * Muestra una alerta si no hay punto seleccionado.
-     * @returns {Object|null} Las coordenadas confirmadas, o null si no hay selección.
+     * Avisa (options.renderError, o config.notify / alert) si no hay punto seleccionado o no pasa la
+     * validación de setupSelector (bounds, minDecimals, outsideZone, validate). Si la dirección del punto aún
+     * se está resolviendo, el callback se ejecuta cuando termine (con address o null), siempre que el
+     * selector siga en el punto validado; si se movió mientras tanto, esa confirmación se descarta.
+     * @returns {Object|Array|null} Las coordenadas confirmadas (en modo multiple, la lista de puntos),
+     *   o null si no hay selección o fue rechazada.
      */
     confirmSelection() {
-        const coords = this.getSelectedCoordinates();
-        if (!coords) {
-            alert('❌ Primero selecciona un punto en el mapa');
+        if (this.#selectorOptions.multiple) return this.#confirmSelectorPoints();
+
+        const selected = this.getSelectedCoordinates();
+        if (!selected) {
+            this.#reportSelectorIssue({ code: 'empty', type: 'error', message: this.translate('selectorEmpty') }, null);
+            return null;
+        }
+
+        const zoneCheck = this.#checkSelectorZones(selected);
+        const issues = this.#validateSelectorPoint(this.#selectedCoords, selected, zoneCheck);
+        const error = issues.find(issue => issue.type === 'error');
+        if (error) {
+            this.#reportSelectorIssue(error, selected);
             return null;
         }
-        this.#onSelectCallback?.(coords);
+        issues.forEach(issue => this.#reportSelectorIssue(issue, selected));
+
+        const coords = { ...selected, ...zoneCheck };
+        if (this.#addressRequest) {
+            // placeSelector crea un objeto nuevo en cada movimiento: si cambió, el punto validado ya no está
+            const validated = this.#selectedCoords;
+            this.#addressRequest.then(() => {
+                if (this.#selectedCoords !== validated) return;
+                this.#notifySelect({ ...this.getSelectedCoordinates(), ...zoneCheck });
+            });
+            return coords;
+        }
+
+        this.#notifySelect(coords);
         return coords;
     }
 
+    /**
+     * Obtiene la dirección de un punto con el geocodificador configurado (config.geocoder,
+     * Nominatim en config.geocoderUrl por defecto). Si el proveedor no admite búsqueda
+     * inversa se usa Nominatim. Sin conexión, sin Control.Geocoder.js o al agotarse
+     * config.reverseGeocodeTimeout resuelve null.
+     * @param {number} lat - Latitud.
+     * @param {number} lng - Longitud.
+     * @returns {Promise<Object|null>} { displayName, street, houseNumber, neighbourhood, city,
+     *   state, postcode, country, countryCode }, o null si no se pudo resolver.
+     * @example
+     * const address = await map.reverseGeocode(10.4806, -66.9036);
+     * console.log(address?.displayName);
+     */
+    async reverseGeocode(lat, lng) {
+        if (!L.Control?.Geocoder) {
+            console.warn('OpenStreetMap: Control.Geocoder no está cargado, no se puede resolver la dirección.');
+            return null;
+        }
+
+        let timer = null;
+
+        try {
+            // Dentro del try: un proveedor desconocido también termina en null y no en un rechazo sin capturar
+            let geocoder = this.#resolveGeocoder(this.config.geocoder);
+            if (typeof geocoder.reverse !== 'function') {
+                geocoder = this.#resolveGeocoder('nominatim');
+            }
+
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Tiempo de espera agotado')), this.config.reverseGeocodeTimeout);
+            });
+            // Escala del zoom 18 para obtener la dirección a nivel de edificio
+            const [result] = await Promise.race([
+                geocoder.reverse(L.latLng(lat, lng), L.CRS.EPSG3857.scale(18)),
+                timeout,
+            ]);
+            return result ? OpenStreetMap.#normalizeAddress(result) : null;
+
+        } catch (error) {
+            console.warn('OpenStreetMap: No se pudo obtener la dirección:', error.message);
+            return null;
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
     // ── Rutas ──────────────────────────────────────────
 
     /**
      * Dibuja una ruta entre dos puntos.
-     * Por defecto dibuja línea recta (offline). Con useRoadRoute: true usa OSRM.
+     * Por defecto dibuja línea recta (offline). Con useRoadRoute: true usa el router
+     * configurado (OSRM por defecto, ver OpenStreetMap.ROUTERS).
+     * Con alternatives: true dibuja todas las rutas que devuelva el router; la promesa
+     * se resuelve cuando el usuario hace clic sobre una de ellas (o con null si las rutas se limpian antes).
      * @param {Object} origin  - { lat, lng, icon: '🏠', popup: 'HTML o texto' }
      * @param {Object} destination - { lat, lng, icon: '📦', popup: 'HTML o texto' }
-     * @param {Object} routeOptions - { useRoadRoute: false, color, weight, opacity, fitBounds, dashArray }
-     * @returns {Promise<{distance, distanceKm, duration?, durationMin?, markers, polyline}>}
+     * @param {Object} routeOptions - { useRoadRoute: false, router, profile, alternatives: false,
+     *   alternativeStyle, steps: false, language: config.locale, itinerary: false, color, weight, opacity, fitBounds, dashArray, group }
+     *   Con group, la ruta y sus marcadores se agregan a ese grupo de capas (ver addOverlay).
+     *   Sin profile se usa el perfil propio del router (el de su url en OSRM, profile en GraphHopper, costing en Valhalla).
+     *   Con steps: true el resultado incluye instructions (ver OpenStreetMap.ROUTERS); con itinerary
+     *   (true u opciones de showItinerary) además se muestra el panel de indicaciones.
+     * @returns {Promise<{distance, distanceKm, distanceText, duration?, durationMin?, durationText, type, legs, instructions,
+     *   markers, polyline, routes, chosenIndex}>} routes contiene todas las rutas dibujadas ({ ...datos, polyline });
+     *   chosenIndex es la elegida. distanceText y durationText (también en cada tramo) vienen formateados según config.locale.
+     *   Se rechaza, sin dibujar nada, si useRoadRoute pide un router desconocido o 'custom' sin función.
+     * @example
+     * const { routes, chosenIndex } = await map.drawRoute(a, b, {
+     *     useRoadRoute: true, profile: 'cycling', alternatives: true,
+     * });
      */
     async drawRoute(origin, destination, routeOptions = {}) {
         if (!this.#requireMap()) return null;
@@ -248,89 +1589,319 @@ class OpenStreetMap {
             console.warn('OpenStreetMap: drawRoute requiere origin y destination con lat/lng.');
             return null;
         }
-
-        const {
-            useRoadRoute = false,
-            color = '#2C6B94',
-            weight = 5,
-            opacity = 0.7,
-            fitBounds = true,
-            dashArray = null,
-        } = routeOptions;
-
-        const lineStyle = { color, weight, opacity };
-        if (dashArray) lineStyle.dashArray = dashArray;
+        routeOptions = this.#withResolvedRouter(routeOptions);
 
         // ── Marcadores (siempre se colocan) ──
         const originMarker = this.addMarker(
             origin.lat, origin.lng,
             origin.icon ?? '🏠',
-            origin.popup ?? null
+            origin.popup ?? null,
+            { group: routeOptions.group }
         );
 
         const destinationMarker = this.addMarker(
             destination.lat, destination.lng,
             destination.icon ?? '📦',
-            destination.popup ?? null
+            destination.popup ?? null,
+            { group: routeOptions.group }
         );
 
-        let polyline, result;
+        const route = await this.#renderRoute([origin, destination], [originMarker, destinationMarker], routeOptions);
+        if (!route) return null;
 
-        if (useRoadRoute) {
-            // ── Ruta por carretera (OSRM) ──
-            result = await this.#fetchRoadRoute(origin, destination, lineStyle);
-            if (!result) {
-                // Fallback a línea recta si OSRM falla
-                console.warn('OpenStreetMap: OSRM falló, usando línea recta como fallback.');
-                result = this.#buildStraightRoute(origin, destination, lineStyle);
-            }
-        } else {
-            // ── Línea recta (offline, por defecto) ──
-            result = this.#buildStraightRoute(origin, destination, lineStyle);
+        const result = {
+            ...route,
+            markers: { origin: originMarker, destination: destinationMarker },
+        };
+
+        this.#lastRoute = { result, stops: [origin, destination], color: routeOptions.color };
+        this.#emit('routeDrawn', result);
+        return result;
+    }
+
+    /**
+     * Dibuja una ruta que recorre varias paradas en el orden recibido.
+     * Con useRoadRoute: true hace una sola petición al router con todos los puntos;
+     * si falla (o por defecto) encadena segmentos rectos entre paradas.
+     * Cada parada recibe un marcador numerado, salvo que indique su propio icon.
+     * @param {Array}  stops        - [{ lat, lng, icon, popup }, ...] (mínimo 2, en orden de visita).
+     * @param {Object} routeOptions - Las mismas opciones que drawRoute.
+     * @returns {Promise<{distance, distanceKm, duration?, durationMin?, type, legs, markers, polyline, routes, chosenIndex}>}
+     *   legs: [{ from, to, distance, distanceKm, duration, durationMin }, ...] con from/to como índices de stops.
+     * @example
+     * const route = await map.drawWaypointRoute([deposito, ...clientes], { useRoadRoute: true });
+     * route.legs.forEach(leg => console.log(`${leg.from} → ${leg.to}: ${leg.distanceKm} km`));
+     */
+    async drawWaypointRoute(stops = [], routeOptions = {}) {
+        if (!this.#requireMap()) return null;
+
+        if (stops.length < 2 || stops.some(stop => stop?.lat == null || stop?.lng == null)) {
+            console.warn('OpenStreetMap: drawWaypointRoute requiere al menos 2 paradas con lat/lng.');
+            return null;
         }
+        routeOptions = this.#withResolvedRouter(routeOptions);
 
-        polyline = result.polyline;
+        // ── Marcadores numerados por parada ──
+        const markers = stops.map((stop, index) => this.addMarker(
+            stop.lat, stop.lng,
+            stop.icon ?? `<span class="map-stop-number">${index + 1}</span>`,
+            stop.popup ?? null,
+            { group: routeOptions.group }
+        ));
 
-        // Guardar referencia para poder limpiar después
-        this.#routeLayers.push({ polyline, originMarker, destinationMarker });
+        const route = await this.#renderRoute(stops, markers, routeOptions);
+        if (!route) return null;
 
-        // Ajustar vista para mostrar toda la ruta
-        if (fitBounds) {
-            this.#map.fitBounds(polyline.getBounds(), { padding: [30, 30] });
+        const result = { ...route, markers };
+
+        this.#lastRoute = { result, stops, color: routeOptions.color };
+        this.#emit('routeDrawn', result);
+        return result;
+    }
+
+    /**
+     * Muestra un panel (control Leaflet) con las indicaciones paso a paso de una ruta.
+     * Al pasar el cursor sobre una indicación se resalta su tramo en el mapa; al hacer
+     * clic, el mapa se centra en él. Reemplaza el panel anterior si existía.
+     * @param {Object} route - Resultado de drawRoute/drawWaypointRoute calculado con steps: true.
+     * @param {Object} [options] - { position: 'topright', title: 'Indicaciones', highlightStyle }
+     * @returns {L.Control|null} El control agregado, o null si la ruta no trae indicaciones.
+     * @example
+     * const route = await map.drawRoute(a, b, { useRoadRoute: true, steps: true });
+     * map.showItinerary(route, { position: 'bottomleft' });
+     */
+    showItinerary(route, options = {}) {
+        if (!this.#requireMap()) return null;
+
+        if (!route?.instructions?.length) {
+            console.warn('OpenStreetMap: La ruta no tiene indicaciones. Usa steps: true con useRoadRoute.');
+            return null;
         }
 
-        return {
-            ...result.data,
-            markers: { origin: originMarker, destination: destinationMarker },
-            polyline,
+        const {
+            position = 'topright',
+            title = this.translate('itineraryTitle'),
+            highlightStyle = { color: '#F5A623', weight: 8, opacity: 0.9 },
+        } = options;
+
+        this.hideItinerary();
+
+        const control = L.control({ position });
+        control.onAdd = () => {
+            const container = L.DomUtil.create('div', 'map-itinerary leaflet-bar');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            const header = L.DomUtil.create('div', 'map-itinerary-header', container);
+            header.textContent = [title, this.formatDistance(route.distance), route.duration == null ? null : this.formatDuration(route.duration)]
+                .filter(Boolean).join(' · ');
+
+            const list = L.DomUtil.create('ol', 'map-itinerary-steps', container);
+            route.instructions.forEach(({ text, distance, geometry }) => {
+                const item = L.DomUtil.create('li', 'map-itinerary-step', list);
+                item.textContent = text;
+
+                const length = L.DomUtil.create('span', 'map-itinerary-distance', item);
+                length.textContent = ` ${this.formatDistance(distance)}`;
+
+                let highlight = null;
+                item.addEventListener('mouseenter', () => {
+                    highlight = L.polyline(geometry, highlightStyle).addTo(this.#map);
+                });
+                item.addEventListener('mouseleave', () => {
+                    if (highlight) this.#map.removeLayer(highlight);
+                    highlight = null;
+                });
+                item.addEventListener('click', () => {
+                    if (geometry.length > 1) this.#map.fitBounds(geometry, { padding: [30, 30] });
+                    else this.#map.setView(geometry[0], this.#map.getZoom());
+                });
+            });
+
+            return container;
         };
+
+        control.addTo(this.#map);
+        this.#itineraryControl = control;
+        return control;
+    }
+
+    /**
+     * Quita el panel de indicaciones si está visible.
+     * @returns {this}
+     */
+    hideItinerary() {
+        if (this.#itineraryControl) {
+            this.#itineraryControl.remove();
+            this.#itineraryControl = null;
+        }
+        return this;
     }
 
     /**
      * Centra el mapa en las coordenadas especificadas.
-     * @param {number} lat - Latitud.
+     * También acepta una coordenada completa como primer argumento: setView(coordenada, zoom).
+     * @param {number|string|Array|Object} lat - Latitud, o coordenada en cualquier formato de Coordinates.parse.
      * @param {number} lng - Longitud.
      * @param {number} [zoom] - Nivel de zoom (opcional, preserva el actual si se omite).
      * @returns {this}
+     * @example
+     * map.setView('10°29\'50"N 66°54\'13"W', 15);
      */
     setView(lat, lng, zoom) {
         if (!this.#requireMap()) return this;
+        if (OpenStreetMap.#isCoordinateInput(lat)) {
+            const point = this.#resolvePoint(lat);
+            return point ? this.setView(point.lat, point.lng, lng) : this;
+        }
         this.#map.setView([lat, lng], zoom || this.#map.getZoom());
         return this;
     }
 
 
-    #buildStraightRoute(origin, destination, lineStyle) {
-        const coordinates = [
-            [parseFloat(origin.lat), parseFloat(origin.lng)],
-            [parseFloat(destination.lat), parseFloat(destination.lng)],
-        ];
+    /**
+     * Calcula y dibuja la ruta entre points, registra sus capas para clearRoutes()
+     * y, si hay alternativas, espera a que el usuario elija una. Devuelve null si las rutas
+     * se limpiaron antes de elegir.
+     */
+    async #renderRoute(points, markers, routeOptions) {
+        const {
+            useRoadRoute = false,
+            router = this.config.router,
+            profile = undefined,
+            alternatives = false,
+            alternativeStyle = { color: '#7A8A99', opacity: 0.5 },
+            steps = false,
+            language = this.config.locale,
+            itinerary = false,
+            color = '#2C6B94',
+            weight = 5,
+            opacity = 0.7,
+            fitBounds = true,
+            dashArray = null,
+            group = null,
+        } = routeOptions;
+
+        // Sin profile se respeta el del router (perfil de su url, profile de GraphHopper, costing de Valhalla)
+        const knownProfile = profile == null || OpenStreetMap.PROFILES[profile];
+        if (!knownProfile) {
+            console.warn(`OpenStreetMap: Perfil desconocido "${profile}", se usa el perfil por defecto del router.`);
+        }
+
+        const lineStyle = { color, weight, opacity };
+        if (dashArray) lineStyle.dashArray = dashArray;
+
+        const routerOptions = {
+            profile: knownProfile ? profile : undefined,
+            alternatives,
+            steps: steps || Boolean(itinerary),
+            language,
+        };
+        const results = (await this.#buildRoute(points, lineStyle, useRoadRoute && router, routerOptions))
+            .map(({ polyline, data }) => ({ polyline, data: this.#withRouteTexts(data) }));
+        const polylines = results.map(({ polyline }) => this.#addLayer(polyline, group));
+
+        // Guardar referencia para poder limpiar (y exportar) después
+        this.#routeLayers.push({ polylines, markers, data: results.map(({ data }) => data) });
+
+        // Ajustar vista para mostrar toda la ruta (y sus alternativas)
+        if (fitBounds) {
+            this.#map.fitBounds(L.featureGroup(polylines).getBounds(), { padding: [30, 30] });
+        }
+
+        const chosenIndex = results.length > 1
+            ? await this.#pickAlternative(polylines, results.map(({ data }) => data), lineStyle, alternativeStyle)
+            : 0;
+        if (chosenIndex === null) return null;
+
+        const { polyline, data } = results[chosenIndex];
+        const route = {
+            ...data,
+            polyline,
+            routes: results.map(result => ({ ...result.data, polyline: result.polyline })),
+            chosenIndex,
+        };
+
+        if (itinerary) {
+            this.showItinerary(route, itinerary === true ? {} : itinerary);
+        }
+
+        return route;
+    }
+
+    /**
+     * Dibuja las rutas alternativas atenuadas y resuelve con el índice de la que el
+     * usuario seleccione con un clic. La elegida toma el estilo principal y las demás se quitan del mapa
+     * y del registro de rutas. Si las rutas se limpian antes de elegir, resuelve con null.
+     */
+    #pickAlternative(polylines, routesData, lineStyle, alternativeStyle) {
+        polylines.forEach((polyline, index) => {
+            const { distanceText, durationText } = routesData[index];
+            polyline.setStyle({ ...lineStyle, ...alternativeStyle });
+            polyline.bindTooltip(
+                [`${this.translate('routeAlternative', { n: index + 1 })}: ${distanceText}`, durationText].filter(Boolean).join(' · '),
+                { sticky: true },
+            );
+        });
+
+        return new Promise(resolve => {
+            // Solo se quitan los handlers propios: los que haya agregado quien llama se conservan
+            const handlers = polylines.map((polyline, index) => () => choose(index));
+            const detach = () => {
+                polylines.forEach((polyline, index) => polyline.off('click', handlers[index]));
+                polylines[0].off('remove', onRemove);
+            };
+            const choose = (index) => {
+                detach();
+                // Las alternativas descartadas dejan de ser rutas del mapa; siguen disponibles en route.routes
+                // (copia: #removeRouteLayer recorta el mismo arreglo del registro)
+                const chosen = polylines[index];
+                [...polylines].forEach(other => other !== chosen && this.#removeRouteLayer(other));
+                chosen.setStyle(lineStyle).bringToFront();
+                resolve(index);
+            };
+            // Si las rutas se limpian antes de elegir no queda ninguna que devolver
+            const onRemove = () => {
+                detach();
+                resolve(null);
+            };
+
+            polylines.forEach((polyline, index) => polyline.on('click', handlers[index]));
+            polylines[0].on('remove', onRemove);
+        });
+    }
+
+    /**
+     * Construye la ruta por carretera con el router indicado, o recta si router es falsy.
+     * Si el router falla o no encuentra ruta, cae a línea recta.
+     * Devuelve [{ polyline, data }, ...]: la ruta principal seguida de sus alternativas.
+     */
+    async #buildRoute(points, lineStyle, router, routerOptions) {
+        if (router) {
+            // ── Ruta por carretera (router) ──
+            const results = await this.#fetchRoadRoute(points, lineStyle, router, routerOptions);
+            if (results) return results;
+
+            // Fallback a línea recta si el router falla
+            console.warn('OpenStreetMap: El router falló, usando línea recta como fallback.');
+        }
+
+        // ── Línea recta (offline, por defecto) ──
+        return [this.#buildStraightRoute(points, lineStyle)];
+    }
+
+    #buildStraightRoute(points, lineStyle) {
+        const coordinates = points.map(({ lat, lng }) => [parseFloat(lat), parseFloat(lng)]);
 
         // Si no se especificó dashArray, usar punteado por defecto para línea recta
         if (!lineStyle.dashArray) lineStyle.dashArray = '10, 8';
 
         const polyline = L.polyline(coordinates, lineStyle).addTo(this.#map);
-        const distance = OpenStreetMap.#haversineDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+        const legs = coordinates.slice(1).map(([lat, lng], index) => {
+            const [prevLat, prevLng] = coordinates[index];
+            return OpenStreetMap.#buildLeg(index, OpenStreetMap.#haversineDistance(prevLat, prevLng, lat, lng), null);
+        });
+        const distance = legs.reduce((total, leg) => total + leg.distance, 0);
 
         return {
             polyline,
@@ -340,43 +1911,150 @@ class OpenStreetMap {
                 duration: null,
                 durationMin: null,
                 type: 'straight',
+                legs,
+                instructions: [],
             },
         };
     }
 
-    async #fetchRoadRoute(origin, destination, lineStyle) {
-        const url = `${OpenStreetMap.OSRM_URL}/${origin.lng},${origin.lat};${destination.lng},${destination.lat}?overview=full&geometries=geojson`;
-
+    async #fetchRoadRoute(points, lineStyle, router, routerOptions) {
         try {
-            const response = await fetch(url);
-            const data = await response.json();
+            const route = await OpenStreetMap.#resolveRouter(router).route(points, routerOptions);
 
-            if (!data.routes || data.routes.length === 0) {
+            if (!route || !route.geometry?.length) {
                 console.warn('OpenStreetMap: No se encontró una ruta entre los puntos.');
+                this.#emit('routeFailed', { points, router: OpenStreetMap.#routerName(router), error: null });
                 return null;
             }
 
-            const route = data.routes[0];
-            const coordinates = route.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
-            const polyline = L.polyline(coordinates, lineStyle).addTo(this.#map);
-
-            return {
-                polyline,
+            const routes = routerOptions.alternatives ? [route, ...(route.alternatives ?? [])] : [route];
+            return routes.map(({ distance, duration, geometry, type, legs, instructions }) => ({
+                polyline: L.polyline(geometry, lineStyle).addTo(this.#map),
                 data: {
-                    distance: route.distance,
-                    distanceKm: (route.distance / 1000).toFixed(2),
-                    duration: route.duration,
-                    durationMin: (route.duration / 60).toFixed(1),
-                    type: 'road',
+                    distance,
+                    distanceKm: (distance / 1000).toFixed(2),
+                    duration,
+                    durationMin: (duration / 60).toFixed(1),
+                    type: type ?? 'road',
+                    legs: (legs ?? []).map((leg, index) =>
+                        OpenStreetMap.#buildLeg(index, leg.distance, leg.duration)
+                    ),
+                    instructions: routerOptions.steps ? (instructions ?? []) : [],
                 },
-            };
+            }));
 
         } catch (error) {
             console.error('OpenStreetMap: Error al calcular la ruta:', error);
+            this.#emit('routeFailed', { points, router: OpenStreetMap.#routerName(router), error });
             return null;
         }
     }
 
+    /** Toma la primera ruta como principal y adjunta el resto en `alternatives`. */
+    static #withAlternatives([route, ...alternatives]) {
+        if (!route) return null;
+        return alternatives.length ? { ...route, alternatives } : route;
+    }
+
+    /**
+     * Resuelve routeOptions.router (o config.router) antes de dibujar, para que un router inválido
+     * lance aquí en lugar de quedar en el catch de #fetchRoadRoute.
+     */
+    #withResolvedRouter(routeOptions) {
+        if (!routeOptions.useRoadRoute) return routeOptions;
+        return { ...routeOptions, router: OpenStreetMap.#resolveRouter(routeOptions.router ?? this.config.router) };
+    }
+
+    /** Convierte el valor de config.router / routeOptions.router en un adaptador { route() }. */
+    static #resolveRouter(router) {
+        if (typeof router === 'function') return OpenStreetMap.ROUTERS.custom(router);
+        if (typeof router?.route === 'function') return router;
+
+        const factory = OpenStreetMap.ROUTERS[router];
+        if (!factory) throw new Error(`Router desconocido: ${router}`);
+        return factory();
+    }
+
+    /** Nombre legible del router para el evento routeFailed. */
+    static #routerName(router) {
+        if (typeof router === 'string') return router;
+        return router?.name ?? 'custom';
+    }
+
+    /** Decodifica una polyline codificada (Google/Valhalla) a [[lat, lng], ...]. */
+    static #decodePolyline(encoded, precision = 5) {
+        const factor = 10 ** precision;
+        const coordinates = [];
+        let index = 0, lat = 0, lng = 0;
+
+        const nextValue = () => {
+            let result = 0, shift = 0, byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return (result & 1) ? ~(result >> 1) : (result >> 1);
+        };
+
+        while (index < encoded.length) {
+            lat += nextValue();
+            lng += nextValue();
+            coordinates.push([lat / factor, lng / factor]);
+        }
+        return coordinates;
+    }
+
+    /** Normaliza un tramo entre la parada `index` y la siguiente. */
+    static #buildLeg(index, distance, duration) {
+        return {
+            from: index,
+            to: index + 1,
+            distance,
+            distanceKm: (distance / 1000).toFixed(2),
+            duration,
+            durationMin: duration == null ? null : (duration / 60).toFixed(1),
+        };
+    }
+
+    /** Redacta una instrucción a partir de una maniobra OSRM usando OpenStreetMap.INSTRUCTION_TEXTS. */
+    static #buildInstructionText({ type, modifier, bearing_after, exit }, streetName, legIndex, legCount, language = 'es') {
+        const texts = OpenStreetMap.INSTRUCTION_TEXTS;
+        const { types, modifiers, directions, street } = texts[language] ?? texts[language.split('-')[0]] ?? texts.es;
+        const isWaypoint = type === 'arrive' && legIndex < legCount - 1;
+        const template = types[isWaypoint ? 'arriveWaypoint' : type] ?? types.continue;
+
+        const text = template
+            .replace('{modifier}', modifiers[modifier] ?? '')
+            .replace('{exit}', exit ?? 1)
+            .replace('{direction}', directions[Math.round((bearing_after ?? 0) / 45) % 8])
+            .replace('{n}', legIndex + 1)
+            .trim();
+
+        return streetName && type !== 'arrive' ? text + street.replace('{street}', streetName) : text;
+    }
+
+    /** Rumbo inicial (0-360°, 0 = norte) entre dos puntos [lat, lng], o null si falta alguno. */
+    static #bearing(from, to) {
+        if (!from || !to) return null;
+
+        const toRad = (deg) => (deg * Math.PI) / 180;
+        const [lat1, lng1] = from.map(toRad);
+        const [lat2, lng2] = to.map(toRad);
+        const y = Math.sin(lng2 - lng1) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lng2 - lng1);
+        return Math.round(((Math.atan2(y, x) * 180) / Math.PI + 360) % 360);
+    }
+
+    /** Agrega distanceText y durationText (según config.locale) a la ruta y a sus tramos. */
+    #withRouteTexts(data) {
+        const texts = ({ distance, duration }) => ({
+            distanceText: this.formatDistance(distance),
+            durationText: duration == null ? null : this.formatDuration(duration),
+        });
+        return { ...data, ...texts(data), legs: data.legs.map(leg => ({ ...leg, ...texts(leg) })) };
+    }
+
     /**
      * Distancia Haversine entre dos puntos (en metros).
      */
@@ -391,67 +2069,485 @@ class OpenStreetMap {
     }
 
     /**
-     * Elimina todas las rutas dibujadas del mapa, incluyendo sus marcadores de origen y destino.
+     * Elimina todas las rutas dibujadas del mapa, incluyendo sus marcadores de origen, destino
+     * y paradas, y el panel de indicaciones.
      */
     clearRoutes() {
         if (!this.#map) return;
 
-        this.#routeLayers.forEach(({ polyline, originMarker, destinationMarker }) => {
-            this.#map.removeLayer(polyline);
-            if (originMarker) this.#map.removeLayer(originMarker);
-            if (destinationMarker) this.#map.removeLayer(destinationMarker);
+        this.#routeLayers.forEach(({ polylines, markers }) => {
+            polylines.forEach(polyline => this.#removeLayer(polyline));
+            markers.filter(Boolean).forEach(marker => this.removeMarker(marker.options.id));
         });
         this.#routeLayers = [];
+        this.#lastRoute = null;
+        this.hideItinerary();
+        this.#emit('cleared', { type: 'routes' });
     }
 
-    // ── Marcadores genéricos ───────────────────────────
+    // ── Optimización de paradas ────────────────────────
 
     /**
-     * Agrega un marcador individual al mapa con un emoji/icono personalizado.
-     * @param {number} lat           - Latitud del marcador.
-     * @param {number} lng           - Longitud del marcador.
-     * @param {string} [icon='📦']   - Emoji o HTML para el icono del marcador.
-     * @param {string} [popupContent] - Contenido HTML del popup (null = sin popup).
-     * @returns {L.Marker|null} Instancia del marcador Leaflet, o null si el mapa no está inicializado.
+     * Calcula un orden de visita eficiente para un reparto que sale de depot, dibuja la ruta
+     * resultante y devuelve las paradas reordenadas con su ETA acumulada.
+     * - mode 'offline': distancias Haversine (sin red).
+     * - mode 'online': matriz de duraciones de un endpoint compatible con OSRM /table (tableUrl).
+     * En ambos casos el orden se obtiene con vecino más cercano + mejora 2-opt.
+     * @param {Object} depot   - { lat, lng, icon, popup } punto de salida.
+     * @param {Array}  stops   - [{ lat, lng, icon, popup, ... }, ...] (misma forma que addMarkers).
+     * @param {Object} [options]
+     * @param {string}  [options.mode='offline']     - 'offline' | 'online'.
+     * @param {boolean} [options.roundTrip=false]    - Si la ruta vuelve al depósito.
+     * @param {string}  [options.tableUrl]           - Endpoint /table (por defecto OpenStreetMap.OSRM_TABLE_URL).
+     *   Con profile (el mismo de la ruta) se pide la tabla de ese perfil, como hace el router OSRM.
+     * @param {Date}    [options.startTime=new Date()] - Hora de salida para calcular las ETA.
+     * @param {number}  [options.serviceTime=0]      - Segundos de parada en cada cliente.
+     * @param {number}  [options.speedKmh]           - Velocidad para estimar tiempos sin duración del router.
+     * @param {boolean} [options.draw=true]          - Dibujar la ruta con drawWaypointRoute.
+     *   El resto de opciones se pasan a drawWaypointRoute (useRoadRoute, router, profile, color...).
+     * @returns {Promise<{stops, route, distance, distanceKm, distanceText, duration, durationMin, durationText, mode}>}
+     *   stops: [{ ...stop, order, cumulativeDistance, cumulativeDuration, eta }, ...] en orden de visita.
      * @example
-     * map.addMarker(10.48, -66.90, '🏠', '<b>Mi casa</b>');
+     * const { stops } = await map.optimizeRoute(deposito, clientes, { useRoadRoute: true, serviceTime: 300 });
+     * stops.forEach(s => console.log(s.order, s.eta));
      */
-    addMarker(lat, lng, icon = '📦', popupContent = null) {
+    async optimizeRoute(depot, stops = [], options = {}) {
         if (!this.#requireMap()) return null;
 
-        lat = lat ?? this.config.lat;
-        lng = lng ?? this.config.lng;
+        if (depot?.lat == null || depot?.lng == null || stops.some(stop => stop?.lat == null || stop?.lng == null)) {
+            console.warn('OpenStreetMap: optimizeRoute requiere depot y stops con lat/lng.');
+            return null;
+        }
 
-        const marker = L.marker([lat, lng], {
-            icon: L.divIcon({
-                html: icon,
-                className: 'map-custom-icon',
-                iconSize: [30, 30],
-                popupAnchor: [0, -30],
-            }),
-        }).addTo(this.#map);
+        const {
+            mode = 'offline',
+            roundTrip = false,
+            tableUrl = OpenStreetMap.OSRM_TABLE_URL,
+            startTime = new Date(),
+            serviceTime = 0,
+            speedKmh = null,
+            draw = true,
+            ...routeOptions
+        } = options;
 
-        if (popupContent) {
-            marker.bindPopup(popupContent).openPopup();
+        const points = [depot, ...stops];
+        const speed = (speedKmh ?? OpenStreetMap.PROFILES[routeOptions.profile ?? 'driving']?.speedKmh ?? 40) / 3.6;
+
+        // ── Matriz de costos (duraciones en segundos) ──
+        let matrix = null;
+        let usedMode = mode;
+        if (mode === 'online') {
+            matrix = await OpenStreetMap.#fetchTable(tableUrl, points, null, routeOptions.profile);
+            if (!matrix) {
+                console.warn('OpenStreetMap: La tabla de distancias falló, optimizando offline.');
+                usedMode = 'offline';
+            }
+        }
+        if (!matrix) {
+            const distances = OpenStreetMap.#haversineMatrix(points);
+            matrix = { distances, durations: distances.map(row => row.map(distance => distance / speed)) };
         }
 
-        this.#markers.push(marker);
-        return marker;
-    }
+        const order = OpenStreetMap.optimizeOrder(matrix.durations, roundTrip);
+        const ordered = order.map(index => stops[index - 1]);
+        const routeStops = roundTrip ? [depot, ...ordered, depot] : [depot, ...ordered];
 
-    /**
+        const route = draw ? await this.drawWaypointRoute(routeStops, routeOptions) : null;
+
+        // ── ETA acumulada: duración del router si existe, si no la de la matriz ──
+        // Los tramos sin ruta en la tabla (Infinity) se estiman en línea recta para que la ETA siga siendo válida
+        const sequence = roundTrip ? [0, ...order, 0] : [0, ...order];
+        const legs = sequence.slice(1).map((to, index) => {
+            const from = sequence[index];
+            const leg = route?.legs?.[index];
+            const straight = OpenStreetMap.#haversineDistance(points[from].lat, points[from].lng, points[to].lat, points[to].lng);
+            const finite = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+            return {
+                distance: leg?.distance ?? finite(matrix.distances[from][to], straight),
+                duration: leg?.duration ?? finite(matrix.durations[from][to], straight / speed),
+            };
+        });
+
+        let cumulativeDistance = 0;
+        let cumulativeDuration = 0;
+        const result = ordered.map((stop, index) => {
+            cumulativeDistance += legs[index].distance;
+            cumulativeDuration += legs[index].duration;
+            const eta = new Date(startTime.getTime() + cumulativeDuration * 1000);
+            cumulativeDuration += serviceTime;
+            return {
+                ...stop,
+                order: index + 1,
+                cumulativeDistance,
+                cumulativeDuration: cumulativeDuration - serviceTime,
+                eta: eta.toISOString(),
+            };
+        });
+
+        const distance = legs.reduce((total, leg) => total + leg.distance, 0);
+        const duration = legs.reduce((total, leg) => total + leg.duration, 0) + serviceTime * ordered.length;
+
+        return {
+            stops: result,
+            route,
+            distance,
+            distanceKm: (distance / 1000).toFixed(2),
+            distanceText: this.formatDistance(distance),
+            duration,
+            durationMin: (duration / 60).toFixed(1),
+            durationText: this.formatDuration(duration),
+            mode: usedMode,
+        };
+    }
+
+    /**
+     * Pide a un endpoint compatible con OSRM /table las matrices de distancias y duraciones.
+     * Con destinations, las filas son points y las columnas destinations; sin él, todos contra todos.
+     * Los pares sin ruta quedan en Infinity. Con profile se reemplaza el perfil al final de tableUrl.
+     * @returns {Promise<{distances: number[][], durations: number[][]}|null>}
+     */
+    static async #fetchTable(tableUrl, points, destinations = null, profile = undefined) {
+        const endpoint = OpenStreetMap.PROFILES[profile] ? tableUrl.replace(/[^/]+$/, OpenStreetMap.PROFILES[profile].osrm) : tableUrl;
+        const all = destinations ? [...points, ...destinations] : points;
+        const coordinates = all.map(({ lat, lng }) => `${lng},${lat}`).join(';');
+        const indexes = (from, count) => Array.from({ length: count }, (_, index) => from + index).join(';');
+        const subset = destinations
+            ? `&sources=${indexes(0, points.length)}&destinations=${indexes(points.length, destinations.length)}`
+            : '';
+
+        try {
+            const response = await fetch(`${endpoint}/${coordinates}?annotations=duration,distance${subset}`);
+            const data = await response.json();
+
+            if (data.code !== 'Ok' || !data.durations) return null;
+
+            // OSRM devuelve null en los pares sin ruta: como Infinity no se eligen ni se suman como 0
+            const reachable = (matrix) => matrix.map(row => row.map(value => value ?? Infinity));
+
+            // Algunos servidores no devuelven distancias: se completan con Haversine
+            return {
+                durations: reachable(data.durations),
+                distances: data.distances ? reachable(data.distances) : OpenStreetMap.#haversineMatrix(points, destinations ?? points),
+            };
+
+        } catch (error) {
+            console.error('OpenStreetMap: Error al obtener la tabla de distancias:', error);
+            return null;
+        }
+    }
+
+    /** Matriz de distancias Haversine (metros) de cada origen a cada destino (por defecto, todos contra todos). */
+    static #haversineMatrix(origins, destinations = origins) {
+        return origins.map(from => destinations.map(to =>
+            OpenStreetMap.#haversineDistance(from.lat, from.lng, to.lat, to.lng)
+        ));
+    }
+
+    /**
+     * Orden de visita (índices de la matriz, sin el 0 del depósito) con vecino más cercano
+     * y mejora 2-opt. Con roundTrip se considera la vuelta al depósito en el costo.
+     * La matriz puede ser asimétrica (duraciones de OSRM): al invertir un tramo se recalcula
+     * también el sentido de sus aristas internas. Es el paso que usa optimizeRoute, sin mapa
+     * ni red, para quien ya tiene su propia matriz de costos.
+     * @param {number[][]} costs - costs[i][j]: costo de ir de i a j; la fila/columna 0 es el depósito.
+     * @param {boolean} [roundTrip=false]
+     * @returns {number[]} Índices 1..n en orden de visita.
+     * @example
+     * const { durations } = await map.distanceMatrix([deposito, ...clientes]);
+     * const orden = OpenStreetMap.optimizeOrder(durations).map(index => clientes[index - 1]);
+     */
+    static optimizeOrder(costs, roundTrip = false) {
+        const size = costs.length;
+        const pending = new Set(Array.from({ length: size - 1 }, (_, index) => index + 1));
+
+        // ── Vecino más cercano desde el depósito ──
+        const tour = [0];
+        while (pending.size) {
+            const last = tour[tour.length - 1];
+            let next = null;
+            pending.forEach(candidate => {
+                if (next === null || costs[last][candidate] < costs[last][next]) next = candidate;
+            });
+            tour.push(next);
+            pending.delete(next);
+        }
+        if (roundTrip) tour.push(0);
+
+        // ── 2-opt: invertir tramos mientras reduzca el costo ──
+        const cost = (a, b) => (a === undefined || b === undefined ? 0 : costs[a][b]);
+        const end = roundTrip ? tour.length - 1 : tour.length;
+        // Costo de recorrer tour[i..k] hacia adelante y hacia atrás (iguales si la matriz es simétrica)
+        const inner = (i, k) => {
+            let forward = 0, backward = 0;
+            for (let j = i; j < k; j++) {
+                forward += cost(tour[j], tour[j + 1]);
+                backward += cost(tour[j + 1], tour[j]);
+            }
+            return { forward, backward };
+        };
+
+        // Cada inversión reduce el costo total, así que termina; el tope es solo un resguardo
+        const maxPasses = size * size;
+        let improved = true;
+        for (let pass = 0; improved && pass < maxPasses; pass++) {
+            improved = false;
+            for (let i = 1; i < end - 1; i++) {
+                for (let k = i + 1; k < end; k++) {
+                    const { forward, backward } = inner(i, k);
+                    const before = cost(tour[i - 1], tour[i]) + forward + cost(tour[k], tour[k + 1]);
+                    const after = cost(tour[i - 1], tour[k]) + backward + cost(tour[i], tour[k + 1]);
+                    if (after < before - 1e-9) {
+                        const reversed = tour.slice(i, k + 1).reverse();
+                        tour.splice(i, reversed.length, ...reversed);
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return tour.slice(1, roundTrip ? -1 : undefined);
+    }
+
+    // ── Cercanía y matriz de distancias ────────────────
+
+    /**
+     * Distancias y duraciones de cada origen a cada destino.
+     * - mode 'offline': distancias Haversine y duraciones estimadas con speedKmh (sin red).
+     * - mode 'online': endpoint compatible con OSRM /table (tableUrl); si falla se calcula offline.
+     * @param {Array} origins        - [{ lat, lng }, ...] o marcadores Leaflet.
+     * @param {Array} [destinations] - Igual que origins (por defecto, los mismos origins).
+     * @param {Object} [options]
+     * @param {string} [options.mode='offline'] - 'offline' | 'online'.
+     * @param {string} [options.tableUrl]       - Endpoint /table (por defecto OpenStreetMap.OSRM_TABLE_URL).
+     * @param {string} [options.profile]        - Perfil (ver OpenStreetMap.PROFILES): en online, el de la tabla
+     *   (sin él, el de tableUrl); en offline, la velocidad (driving por defecto).
+     * @param {number} [options.speedKmh]       - Velocidad para estimar las duraciones offline.
+     * @returns {Promise<{distances: number[][], durations: number[][], mode: string}>}
+     *   distances[i][j] en metros y durations[i][j] en segundos, de origins[i] a destinations[j]
+     *   (Infinity si el router no encontró ruta entre ambos).
+     * @example
+     * const { distances } = await map.distanceMatrix(depositos, clientes, { mode: 'online' });
+     */
+    async distanceMatrix(origins, destinations = origins, options = {}) {
+        const {
+            mode = 'offline',
+            tableUrl = OpenStreetMap.OSRM_TABLE_URL,
+            profile = undefined,
+            speedKmh = null,
+        } = options;
+
+        const from = origins.map(OpenStreetMap.#candidatePoint);
+        const to = destinations.map(OpenStreetMap.#candidatePoint);
+
+        if (mode === 'online') {
+            const matrix = await OpenStreetMap.#fetchTable(tableUrl, from, to, profile);
+            if (matrix) return { ...matrix, mode };
+            console.warn('OpenStreetMap: La tabla de distancias falló, calculando offline.');
+        }
+
+        const speed = (speedKmh ?? OpenStreetMap.PROFILES[profile ?? 'driving']?.speedKmh ?? 40) / 3.6;
+        const distances = OpenStreetMap.#haversineMatrix(from, to);
+        return { distances, durations: distances.map(row => row.map(distance => distance / speed)), mode: 'offline' };
+    }
+
+    /**
+     * Los k candidatos más cercanos a un punto, del más cercano al más lejano.
+     * @param {Object|string|Array} point - { lat, lng } o coordenada en cualquier formato de Coordinates.parse.
+     * @param {Array} [candidates]         - [{ lat, lng, ... }, ...] o marcadores Leaflet
+     *   (por defecto, todos los marcadores registrados salvo el del selector).
+     * @param {Object} [options]
+     * @param {number} [options.k=1]            - Cantidad de resultados.
+     * @param {string} [options.mode='offline'] - 'offline' (Haversine) | 'online' (OSRM /table, por duración).
+     *   Además acepta las opciones de distanceMatrix (tableUrl, profile, speedKmh).
+     * @returns {Promise<Array<{candidate, id, lat, lng, distance, distanceText, duration, durationText, index}>>}
+     *   candidate es el elemento original; index su posición en candidates. En modo online se omiten
+     *   los candidatos sin ruta desde el punto.
+     * @example
+     * const [deposito] = await map.nearest(map.getSelectedCoordinates(), depositos);
+     * console.log(`${deposito.candidate.nombre} a ${deposito.distanceText}`);
+     */
+    async nearest(point, candidates = null, options = {}) {
+        const { k = 1, ...matrixOptions } = options;
+
+        const origin = OpenStreetMap.#isCoordinateInput(point) && point.lat == null ? this.#resolvePoint(point) : point;
+        if (origin?.lat == null || origin?.lng == null) {
+            console.warn('OpenStreetMap: nearest requiere un punto con lat/lng.');
+            return [];
+        }
+
+        const pool = candidates ?? [...this.#markers.values()].filter(marker => marker !== this.#selectorMarker);
+        if (!pool.length) return [];
+
+        const { distances, durations, mode } = await this.distanceMatrix([origin], pool, matrixOptions);
+        // Online se ordena por duración (lo que importa al despachar); offline por distancia
+        const costs = mode === 'online' ? durations[0] : distances[0];
+
+        return pool
+            // Sin ruta en la tabla (Infinity): no es alcanzable, no puede ser el más cercano
+            .flatMap((candidate, index) => (Number.isFinite(costs[index]) ? [{ candidate, index }] : []))
+            .map(({ candidate, index }) => {
+                const { lat, lng } = OpenStreetMap.#candidatePoint(candidate);
+                return {
+                    candidate,
+                    id: candidate instanceof L.Marker ? candidate.options.id : candidate.id ?? null,
+                    lat,
+                    lng,
+                    distance: distances[0][index],
+                    distanceText: this.formatDistance(distances[0][index]),
+                    duration: durations[0][index],
+                    durationText: this.formatDuration(durations[0][index]),
+                    index,
+                };
+            })
+            .sort((a, b) => costs[a.index] - costs[b.index])
+            .slice(0, k);
+    }
+
+    /**
+     * Une el punto del selector con sus k candidatos más cercanos mediante líneas con la
+     * distancia como etiqueta, y las actualiza cada vez que el selector se mueve.
+     * @param {Object} [options] - Opciones de nearest (candidates, k, mode...) más:
+     * @param {Array}    [options.candidates] - Candidatos (por defecto, los marcadores registrados).
+     * @param {Object}   [options.style]      - Estilo de las líneas (L.polyline).
+     * @param {Function} [options.onResult]   - Callback con el resultado de nearest en cada actualización.
+     * @returns {this}
+     * @example
+     * map.setupSelector(guardar).showNearest({ candidates: depositos, k: 3 });
+     */
+    showNearest(options = {}) {
+        if (!this.#requireMap()) return this;
+
+        const {
+            candidates = null,
+            style = { color: '#8E44AD', weight: 2, opacity: 0.8, dashArray: '6, 6' },
+            onResult = null,
+            ...nearestOptions
+        } = options;
+
+        this.hideNearest();
+
+        let request = 0;
+        this.#nearestHandler = async ({ lat, lng }) => {
+            // Si el selector se mueve antes de que responda el servidor, se descarta la respuesta vieja
+            const current = ++request;
+            const results = await this.nearest({ lat, lng }, candidates, nearestOptions);
+            if (current !== request || !this.#nearestHandler) return;
+
+            this.#clearNearestLines();
+            this.#nearestLayers = results.map(({ lat: toLat, lng: toLng, distanceText, durationText }) =>
+                L.polyline([[lat, lng], [toLat, toLng]], { ...style, interactive: false })
+                    .bindTooltip(nearestOptions.mode === 'online' ? `${distanceText} · ${durationText}` : distanceText, {
+                        permanent: true,
+                        direction: 'center',
+                        className: 'map-nearest-label',
+                    })
+                    .addTo(this.#map)
+            );
+            onResult?.(results);
+        };
+
+        this.on('selectorMove', this.#nearestHandler);
+        const selected = this.getSelectedCoordinates();
+        if (selected) this.#nearestHandler(selected);
+        return this;
+    }
+
+    /**
+     * Quita las líneas de showNearest y deja de actualizarlas.
+     * @returns {this}
+     */
+    hideNearest() {
+        if (this.#nearestHandler) this.off('selectorMove', this.#nearestHandler);
+        this.#nearestHandler = null;
+        this.#clearNearestLines();
+        return this;
+    }
+
+    #clearNearestLines() {
+        this.#nearestLayers.forEach(line => this.#map.removeLayer(line));
+        this.#nearestLayers = [];
+    }
+
+    /** { lat, lng } numéricos de un candidato (objeto con lat/lng o marcador Leaflet). */
+    static #candidatePoint(candidate) {
+        const { lat, lng } = candidate instanceof L.Marker ? candidate.getLatLng() : candidate;
+        return { lat: parseFloat(lat), lng: parseFloat(lng) };
+    }
+
+    // ── Marcadores genéricos ───────────────────────────
+
+    /**
+     * Agrega un marcador individual al mapa con un emoji/icono personalizado.
+     * Cada marcador queda registrado por id (options.id o uno generado) para poder
+     * consultarlo, actualizarlo o quitarlo después. Si ya existe un marcador con ese id, se reemplaza.
+     * También acepta una coordenada completa como primer argumento: addMarker(coordenada, icon, popup, options).
+     * @param {number|string|Array|Object} lat - Latitud, o coordenada en cualquier formato de Coordinates.parse.
+     * @param {number} lng           - Longitud del marcador.
+     * @param {string} [icon='📦']   - Emoji o HTML para el icono del marcador.
+     * @param {string} [popupContent] - Contenido HTML del popup (null = sin popup).
+     * @param {Object} [options]      - { id, data, group, draggable } identificador, metadatos propios
+     *   (marker.options.id / .data), grupo de capas (ver addOverlay) y si se puede arrastrar.
+     * @returns {L.Marker|null} Instancia del marcador Leaflet, o null si el mapa no está inicializado.
+     * @example
+     * map.addMarker(10.48, -66.90, '🏠', '<b>Mi casa</b>');
+     * map.addMarker(10.48, -66.90, '🚚', null, { id: 'moto-12', data: { conductor: 'Ana' } });
+     * map.addMarker('772MF3WW+WH', '🏠', '<b>Mi casa</b>');
+     */
+    addMarker(lat, lng, icon = '📦', popupContent = null, options = {}) {
+        if (!this.#requireMap()) return null;
+        if (OpenStreetMap.#isCoordinateInput(lat)) {
+            // Los argumentos se corren una posición: (coordenada, icon, popupContent, options)
+            const point = this.#resolvePoint(lat);
+            return point ? this.addMarker(point.lat, point.lng, ...[...arguments].slice(1)) : null;
+        }
+
+        const marker = this.#addLayer(this.#createMarker(lat, lng, icon, popupContent, options), options.group);
+
+        if (popupContent) {
+            marker.openPopup();
+        }
+
+        return marker;
+    }
+
+    /**
      * Agrega múltiples marcadores al mapa desde un arreglo.
-     * @param {Array} markers - [{ lat, lng, icon: '📦', popup: 'HTML o texto' }, ...]
-     * @param {Object} options - { fitBounds: true }
+     * Con cluster los marcadores cercanos se agrupan en burbujas con su conteo, que se
+     * separan al acercar el mapa (requiere cluster.map.js). Útil para miles de puntos.
+     * Los marcadores con group se agrupan solo entre sí, dentro de ese grupo de capas.
+     * @param {Array} markers - [{ lat, lng, icon: '📦', popup: 'HTML o texto', id, data, group }, ...]
+     * @param {Object} options - { fitBounds: true, cluster: false | true | { mode: 'grid'|'distance', radius,
+     *   disableAtZoom, spiderfy } } (ver MarkerCluster.DEFAULTS).
      * @returns {Array} - arreglo de instancias de marcadores Leaflet
+     * @example
+     * map.addMarkers(clientes, { cluster: { mode: 'distance', radius: 80 }, fitBounds: true });
      */
     addMarkers(markers = [], options = {}) {
         if (!this.#requireMap()) return [];
-        const { fitBounds = false } = options;
+        const { fitBounds = false, cluster = false } = options;
 
-        const created = markers.map(({ lat, lng, icon, popup }) =>
-            this.addMarker(lat, lng, icon ?? '📦', popup ?? null)
-        ).filter(Boolean);
+        if (cluster && typeof MarkerCluster === 'undefined') {
+            console.warn('OpenStreetMap: cluster.map.js no está cargado, los marcadores se agregan sin agrupar.');
+        }
+        const useCluster = cluster && typeof MarkerCluster !== 'undefined';
+
+        const created = markers.map(({ lat, lng, icon, popup, id, data, group = null }) => {
+            if (!useCluster) return this.addMarker(lat, lng, icon ?? '📦', popup ?? null, { id, data, group });
+
+            const marker = this.#createMarker(lat, lng, icon ?? '📦', popup ?? null, { id, data });
+            marker.options.group = group;
+            return marker;
+        }).filter(Boolean);
+
+        if (useCluster) {
+            const byGroup = new Map();
+            created.forEach(marker => {
+                const { group } = marker.options;
+                if (!byGroup.has(group)) byGroup.set(group, []);
+                byGroup.get(group).push(marker);
+            });
+            byGroup.forEach((groupMarkers, group) => this.#markerCluster(group, cluster).addMarkers(groupMarkers));
+        }
 
         if (fitBounds && created.length > 0) {
             const group = L.featureGroup(created);
@@ -461,6 +2557,78 @@ class OpenStreetMap {
         return this;
     }
 
+    /**
+     * Obtiene un marcador registrado por su id.
+     * @param {string|number} id
+     * @returns {L.Marker|null}
+     */
+    getMarker(id) {
+        return this.#markers.get(id) ?? null;
+    }
+
+    /**
+     * Actualiza posición, icono, popup o metadatos de un marcador sin recrearlo.
+     * Con animate: true el marcador se desplaza suavemente hasta la nueva posición.
+     * @param {string|number} id
+     * @param {Object} changes - { lat, lng, icon, popup, data, animate: false, duration: 1000 }
+     *   popup: null quita el popup; data reemplaza los metadatos.
+     * @returns {L.Marker|null} El marcador actualizado, o null si no existe.
+     * @example
+     * map.updateMarker('moto-12', { lat: 10.49, lng: -66.91, animate: true });
+     */
+    updateMarker(id, changes = {}) {
+        const marker = this.getMarker(id);
+        if (!marker) {
+            console.warn(`OpenStreetMap: No existe un marcador con id "${id}".`);
+            return null;
+        }
+
+        const { lat, lng, icon, popup, data, animate = false, duration = 1000 } = changes;
+
+        if (lat != null && lng != null) {
+            if (animate) {
+                this.#animateMarker(marker, L.latLng(lat, lng), duration);
+            } else {
+                this.#stopMarkerAnimation(marker);
+                marker.setLatLng([lat, lng]);
+            }
+        }
+        if (icon !== undefined) marker.setIcon(OpenStreetMap.#buildIcon(icon));
+        if (popup === null) marker.unbindPopup();
+        else if (popup !== undefined) marker.getPopup() ? marker.setPopupContent(popup) : marker.bindPopup(popup);
+        if (data !== undefined) marker.options.data = data;
+
+        return marker;
+    }
+
+    /**
+     * Quita un marcador del mapa y del registro.
+     * @param {string|number} id
+     * @returns {this}
+     */
+    removeMarker(id) {
+        const marker = this.getMarker(id);
+        if (!marker) return this;
+
+        this.#stopMarkerAnimation(marker);
+        const cluster = this.#clusters.get(marker.options.group ?? null);
+        if (cluster?.has(marker)) cluster.removeMarker(marker);
+        else this.#removeLayer(marker);
+        this.#markers.delete(id);
+        return this;
+    }
+
+    /**
+     * Busca marcadores cuyo predicado se cumpla.
+     * @param {Function} predicate - (data, marker, id) => boolean
+     * @returns {L.Marker[]}
+     * @example
+     * const inactivos = map.findMarkers((data) => data?.estado === 'inactivo');
+     */
+    findMarkers(predicate) {
+        return [...this.#markers].filter(([id, marker]) => predicate(marker.options.data, marker, id)).map(([, marker]) => marker);
+    }
+
     /**
      * Elimina todos los marcadores genéricos (creados con addMarker/addMarkers).
      * @returns {this}
@@ -468,19 +2636,24 @@ class OpenStreetMap {
     clearMarkers() {
         if (!this.#map) return this;
 
-        this.#markers.forEach(marker => this.#map.removeLayer(marker));
-        this.#markers = [];
+        this.#clusters.forEach(cluster => cluster.clear());
+        this.#markers.forEach(marker => {
+            this.#stopMarkerAnimation(marker);
+            this.#removeLayer(marker);
+        });
+        this.#markers.clear();
+        this.#emit('cleared', { type: 'markers' });
         return this;
     }
 
     // ── Círculos (áreas/zonas) ─────────────────────────
 
     /**
-     * Agrega un círculo al mapa.
+     * Agrega un círculo al mapa. Como los marcadores, queda registrado por id.
      * @param {number} lat
      * @param {number} lng
      * @param {number} radius - radio en metros
-     * @param {Object} options - { color, fillColor, fillOpacity, weight, popup }
+     * @param {Object} options - { color, fillColor, fillOpacity, weight, popup, id, data, group }
      * @returns {L.Circle} - instancia del círculo Leaflet
      */
     addCircle(lat, lng, radius = 5000, options = {}) {
@@ -492,27 +2665,37 @@ class OpenStreetMap {
             fillOpacity = 0.15,
             weight = 2,
             popup = null,
+            id = null,
+            data = null,
+            group = null,
         } = options;
 
+        if (id != null && this.#circles.has(id)) {
+            this.removeCircle(id);
+        }
+
         const circle = L.circle([lat, lng], {
             radius,
             color,
             fillColor,
             fillOpacity,
             weight,
-        }).addTo(this.#map);
+            data,
+        });
+        this.#addLayer(circle, group);
 
         if (popup) {
             circle.bindPopup(popup);
         }
 
-        this.#circles.push(circle);
+        circle.options.id = id ?? `circle-${L.stamp(circle)}`;
+        this.#circles.set(circle.options.id, circle);
         return circle;
     }
 
     /**
      * Agrega múltiples círculos al mapa desde un arreglo.
-     * @param {Array} circles - [{ lat, lng, radius, color, fillColor, fillOpacity, weight, popup }, ...]
+     * @param {Array} circles - [{ lat, lng, radius, color, fillColor, fillOpacity, weight, popup, id, data, group }, ...]
      * @param {Object} options - { fitBounds: true }
      * @returns {this}
      */
@@ -532,6 +2715,63 @@ class OpenStreetMap {
         return this;
     }
 
+    /**
+     * Obtiene un círculo registrado por su id.
+     * @param {string|number} id
+     * @returns {L.Circle|null}
+     */
+    getCircle(id) {
+        return this.#circles.get(id) ?? null;
+    }
+
+    /**
+     * Actualiza centro, radio, estilo, popup o metadatos de un círculo sin recrearlo.
+     * @param {string|number} id
+     * @param {Object} changes - { lat, lng, radius, color, fillColor, fillOpacity, weight, popup, data }
+     * @returns {L.Circle|null} El círculo actualizado, o null si no existe.
+     */
+    updateCircle(id, changes = {}) {
+        const circle = this.getCircle(id);
+        if (!circle) {
+            console.warn(`OpenStreetMap: No existe un círculo con id "${id}".`);
+            return null;
+        }
+
+        const { lat, lng, radius, popup, data, ...style } = changes;
+
+        if (lat != null && lng != null) circle.setLatLng([lat, lng]);
+        if (radius != null) circle.setRadius(radius);
+        if (Object.keys(style).length) circle.setStyle(style);
+        if (popup === null) circle.unbindPopup();
+        else if (popup !== undefined) circle.getPopup() ? circle.setPopupContent(popup) : circle.bindPopup(popup);
+        if (data !== undefined) circle.options.data = data;
+
+        return circle;
+    }
+
+    /**
+     * Quita un círculo del mapa y del registro.
+     * @param {string|number} id
+     * @returns {this}
+     */
+    removeCircle(id) {
+        const circle = this.getCircle(id);
+        if (!circle) return this;
+
+        this.#removeLayer(circle);
+        this.#circles.delete(id);
+        return this;
+    }
+
+    /**
+     * Busca círculos cuyo predicado se cumpla.
+     * @param {Function} predicate - (data, circle, id) => boolean
+     * @returns {L.Circle[]}
+     */
+    findCircles(predicate) {
+        return [...this.#circles].filter(([id, circle]) => predicate(circle.options.data, circle, id)).map(([, circle]) => circle);
+    }
+
     /**
      * Elimina todos los círculos del mapa.
      * @returns {this}
@@ -539,54 +2779,1882 @@ class OpenStreetMap {
     clearCircles() {
         if (!this.#map) return this;
 
-        this.#circles.forEach(circle => this.#map.removeLayer(circle));
-        this.#circles = [];
+        this.#circles.forEach(circle => this.#removeLayer(circle));
+        this.#circles.clear();
+        this.#emit('cleared', { type: 'circles' });
         return this;
     }
 
-    // ── Métodos privados ───────────────────────────────
+    // ── Polígonos (zonas irregulares) ──────────────────
 
-    /** Maneja el evento clic en el mapa para el selector de coordenadas. */
-    #handleMapClick(e) {
-        if (!this.#isSelectorEnabled) return;
+    /**
+     * Agrega un polígono al mapa con el mismo estilo y registro por id que los círculos.
+     * @param {Array} latlngs - Vértices [[lat, lng], ...]; con huecos: [exterior, hueco, ...].
+     * @param {Object} options - { color, fillColor, fillOpacity, weight, popup, id, data, group }
+     * @returns {L.Polygon} - instancia del polígono Leaflet
+     * @example
+     * map.addPolygon([[10.50, -66.92], [10.51, -66.88], [10.47, -66.87]], { id: 'cobertura', popup: 'Zona de entrega' });
+     */
+    addPolygon(latlngs, options = {}) {
+        if (!this.#requireMap()) return null;
 
-        const lat = e.latlng.lat?.toFixed(8);
-        const lng = e.latlng.lng?.toFixed(8);
-        if (lat == null || lng == null) return;
+        const {
+            color = '#2C6B94',
+            fillColor = color,
+            fillOpacity = 0.15,
+            weight = 2,
+            popup = null,
+            id = null,
+            data = null,
+            group = null,
+        } = options;
 
-        this.placeSelector(lat, lng);
+        if (id != null && this.#polygons.has(id)) {
+            this.removePolygon(id);
+        }
+
+        const polygon = L.polygon(latlngs, {
+            color,
+            fillColor,
+            fillOpacity,
+            weight,
+            data,
+        });
+        this.#addLayer(polygon, group);
+
+        if (popup) {
+            polygon.bindPopup(popup);
+        }
+
+        polygon.options.id = id ?? `polygon-${L.stamp(polygon)}`;
+        this.#polygons.set(polygon.options.id, polygon);
+        return polygon;
     }
 
-    /** Genera el HTML del popup para el selector de coordenadas. */
-    #buildSelectorPopup(lat, lng) {
-        return `
-            <div class="map-selector-popup">
-                <h3>🏁📦 Punto seleccionado</h3>
-                <p>Latitud: ${lat}<br>Longitud: ${lng}</p>
-                <a href="${OpenStreetMap.LINKS.googleMaps(lat, lng)}" 
-                   target="_blank">🔗 Ver en Google Maps</a><br>
-                <a href="${OpenStreetMap.LINKS.openStreetMap(lat, lng)}" 
-                   target="_blank">🗺️ Ver en OpenStreetMap</a>
-                <button class="map-selector-confirm-btn">
-                    🏁 Seleccionar Coordenadas
-                </button>
-            </div>`;
+    /**
+     * Agrega múltiples polígonos al mapa desde un arreglo.
+     * @param {Array} polygons - [{ latlngs, color, fillColor, fillOpacity, weight, popup, id, data, group }, ...]
+     * @param {Object} options - { fitBounds: false }
+     * @returns {this}
+     */
+    addPolygons(polygons = [], options = {}) {
+        if (!this.#requireMap()) return this;
+        const { fitBounds = false } = options;
+
+        const created = polygons.map(({ latlngs, ...opts }) =>
+            this.addPolygon(latlngs, opts)
+        ).filter(Boolean);
+
+        if (fitBounds && created.length > 0) {
+            const group = L.featureGroup(created);
+            this.#map.fitBounds(group.getBounds(), { padding: [30, 30] });
+        }
+
+        return this;
     }
 
-    /** Guard clause: verifica que el mapa esté inicializado. */
-    #requireMap() {
-        if (!this.#map) {
-            console.warn('OpenStreetMap: El mapa no ha sido inicializado. Llama a initMap() primero.');
-            return false;
+    /**
+     * Obtiene un polígono registrado por su id.
+     * @param {string|number} id
+     * @returns {L.Polygon|null}
+     */
+    getPolygon(id) {
+        return this.#polygons.get(id) ?? null;
+    }
+
+    /**
+     * Actualiza vértices, estilo, popup o metadatos de un polígono sin recrearlo.
+     * @param {string|number} id
+     * @param {Object} changes - { latlngs, color, fillColor, fillOpacity, weight, popup, data }
+     * @returns {L.Polygon|null} El polígono actualizado, o null si no existe.
+     */
+    updatePolygon(id, changes = {}) {
+        const polygon = this.getPolygon(id);
+        if (!polygon) {
+            console.warn(`OpenStreetMap: No existe un polígono con id "${id}".`);
+            return null;
         }
-        return true;
+
+        const { latlngs, popup, data, ...style } = changes;
+
+        if (latlngs) polygon.setLatLngs(latlngs);
+        if (Object.keys(style).length) polygon.setStyle(style);
+        if (popup === null) polygon.unbindPopup();
+        else if (popup !== undefined) polygon.getPopup() ? polygon.setPopupContent(popup) : polygon.bindPopup(popup);
+        if (data !== undefined) polygon.options.data = data;
+
+        return polygon;
     }
 
-    /** Guard clause: verifica que el selector esté habilitado. */
-    #requireSelector() {
-        if (!this.#requireMap()) return false;
-        if (!this.#isSelectorEnabled) {
-            console.warn('OpenStreetMap: El selector no está habilitado. Llama a setupSelector() primero.');
+    /**
+     * Quita un polígono del mapa y del registro.
+     * @param {string|number} id
+     * @returns {this}
+     */
+    removePolygon(id) {
+        const polygon = this.getPolygon(id);
+        if (!polygon) return this;
+
+        this.#removeLayer(polygon);
+        this.#polygons.delete(id);
+        return this;
+    }
+
+    /**
+     * Busca polígonos cuyo predicado se cumpla.
+     * @param {Function} predicate - (data, polygon, id) => boolean
+     * @returns {L.Polygon[]}
+     */
+    findPolygons(predicate) {
+        return [...this.#polygons].filter(([id, polygon]) => predicate(polygon.options.data, polygon, id)).map(([, polygon]) => polygon);
+    }
+
+    /**
+     * Elimina todos los polígonos del mapa.
+     * @returns {this}
+     */
+    clearPolygons() {
+        if (!this.#map) return this;
+
+        this.#polygons.forEach(polygon => this.#removeLayer(polygon));
+        this.#polygons.clear();
+        this.#emit('cleared', { type: 'polygons' });
+        return this;
+    }
+
+    // ── Geocercas ──────────────────────────────────────
+
+    /**
+     * Indica si un punto está dentro de algún círculo o polígono del mapa.
+     * @param {number} lat
+     * @param {number} lng
+     * @param {Array} [ids] - Limitar la comprobación a estas zonas (ids de círculos/polígonos).
+     * @returns {boolean}
+     * @example
+     * if (!map.isInsideZone(10.49, -66.89)) console.log('Fuera de cobertura');
+     */
+    isInsideZone(lat, lng, ids) {
+        return this.zonesContaining({ lat, lng }, ids).length > 0;
+    }
+
+    /**
+     * Devuelve los círculos y polígonos que contienen un punto.
+     * @param {{lat: number, lng: number}|number[]} point - { lat, lng } o [lat, lng].
+     * @param {Array} [ids] - Limitar la búsqueda a estas zonas (ids de círculos/polígonos).
+     * @returns {Array<L.Circle|L.Polygon>} Las zonas (su id está en zone.options.id).
+     * @example
+     * const zonas = map.zonesContaining([10.49, -66.89]).map(zona => zona.options.id);
+     */
+    zonesContaining(point, ids) {
+        const latlng = L.latLng(point);
+        const circles = [...this.#circles.values()].filter(circle =>
+            OpenStreetMap.#haversineDistance(latlng.lat, latlng.lng, circle.getLatLng().lat, circle.getLatLng().lng) <= circle.getRadius());
+        const polygons = [...this.#polygons.values()].filter(polygon =>
+            OpenStreetMap.#polygonContains(polygon.getLatLngs(), latlng));
+
+        const zones = [...circles, ...polygons];
+        return ids ? zones.filter(zone => ids.includes(zone.options.id)) : zones;
+    }
+
+    // ── Dibujo y edición ───────────────────────────────
+
+    /**
+     * Muestra la barra de dibujo (requiere draw.map.js): punto, línea, polígono, círculo y
+     * rectángulo, más editar y eliminar. Lo dibujado se convierte en figuras del wrapper
+     * (marcador, ruta, polígono o círculo), así que también aparece en toGeoJSON y se limpia
+     * con clearMarkers/clearRoutes/clearPolygons/clearCircles. toGeoJSON guarda el tipo de figura
+     * (properties.shape, p. ej. 'rectangle') y loadGeoJSON lo restaura, así siguen siendo editables.
+     * Los callbacks (y los eventos drawCreated, drawEdited y drawDeleted) reciben
+     * { type, id, layer, geojson }, donde geojson es un Feature compatible con loadGeoJSON.
+     * @param {Object} [options]
+     * @param {string[]} [options.tools]       - Herramientas visibles (ver MapDrawer.DEFAULTS).
+     * @param {string}   [options.position='topleft']
+     * @param {string}   [options.icon='📍']   - Icono de los puntos.
+     * @param {string}   [options.color='#E67E22'] - Color de las figuras (fillColor, fillOpacity y weight opcionales).
+     * @param {Function} [options.onCreated]
+     * @param {Function} [options.onEdited]
+     * @param {Function} [options.onDeleted]
+     * @returns {this}
+     * @example
+     * map.enableDrawing({
+     *     tools: ['polygon', 'circle'],
+     *     onCreated: ({ geojson }) => guardarZona(geojson),
+     *     onDeleted: ({ id }) => borrarZona(id),
+     * });
+     */
+    enableDrawing(options = {}) {
+        if (!this.#requireMap()) return this;
+
+        if (typeof MapDrawer === 'undefined') {
+            console.warn('OpenStreetMap: draw.map.js no está cargado, no se puede dibujar.');
+            return this;
+        }
+
+        const {
+            icon = '📍',
+            color = '#E67E22',
+            fillColor = color,
+            fillOpacity = 0.2,
+            weight = 3,
+            onCreated = null,
+            onEdited = null,
+            onDeleted = null,
+            ...drawerOptions
+        } = options;
+
+        const style = { color, fillColor, fillOpacity, weight };
+        const notify = (callback, event, type, layer) => {
+            const payload = { type, id: layer.options.id, layer, geojson: OpenStreetMap.#drawnFeature(type, layer) };
+            callback?.(payload);
+            this.#emit(event, payload);
+        };
+
+        const titles = {
+            point: this.translate('drawPoint'),
+            polyline: this.translate('drawPolyline'),
+            polygon: this.translate('drawPolygon'),
+            circle: this.translate('drawCircle'),
+            rectangle: this.translate('drawRectangle'),
+            edit: this.translate('drawEdit'),
+            delete: this.translate('drawDelete'),
+        };
+
+        this.disableDrawing();
+        this.#drawer = new MapDrawer(this.#map, {
+            create: (type, { latlng, latlngs, center, radius }) => {
+                const layer = type === 'point' ? this.addMarker(latlng.lat, latlng.lng, icon, null)
+                    : type === 'circle' ? this.addCircle(center.lat, center.lng, radius, style)
+                    : type === 'polyline' ? this.#addDrawnLine(latlngs, style)
+                    : this.addPolygon(latlngs, style);
+                layer.options.shape = type;
+                notify(onCreated, 'drawCreated', type, layer);
+                return layer;
+            },
+            change: (layer, type) => {
+                if (type === 'polyline') this.#refreshRouteData(layer);
+                notify(onEdited, 'drawEdited', type, layer);
+            },
+            remove: (layer, type) => {
+                const { id } = layer.options;
+                if (type === 'point') this.removeMarker(id);
+                else if (type === 'circle') this.removeCircle(id);
+                else if (type === 'polyline') this.#removeRouteLayer(layer);
+                else this.removePolygon(id);
+                notify(onDeleted, 'drawDeleted', type, layer);
+            },
+        }, { ...drawerOptions, titles: { ...titles, ...drawerOptions.titles } });
+
+        // Lo dibujado antes (o restaurado con loadGeoJSON/setState) vuelve a ser editable
+        this.#drawnLayers().forEach(layer => this.#drawer.track(layer, layer.options.shape));
+        return this;
+    }
+
+    /**
+     * Figuras dibujadas que siguen en el mapa, con su tipo ('rectangle' incluido).
+     * @returns {Array<{type, id, layer, geojson}>} Como el payload de drawCreated.
+     */
+    getDrawnShapes() {
+        return this.#drawnLayers().map(layer => {
+            const type = layer.options.shape;
+            return { type, id: layer.options.id, layer, geojson: OpenStreetMap.#drawnFeature(type, layer) };
+        });
+    }
+
+    /**
+     * Activa una herramienta de dibujo desde código (la barra debe estar habilitada).
+     * @param {string|null} mode - 'point' | 'polyline' | 'polygon' | 'circle' | 'rectangle' | 'edit' | 'delete' | null
+     * @returns {this}
+     */
+    setDrawMode(mode) {
+        if (!this.#drawer) {
+            console.warn('OpenStreetMap: El dibujo no está habilitado. Llama a enableDrawing() primero.');
+            return this;
+        }
+
+        this.#drawer.setMode(mode);
+        return this;
+    }
+
+    /**
+     * Quita la barra de dibujo. Las figuras dibujadas permanecen en el mapa.
+     * @returns {this}
+     */
+    disableDrawing() {
+        this.#drawer?.destroy();
+        this.#drawer = null;
+        return this;
+    }
+
+    // ── GeoJSON ────────────────────────────────────────
+
+    /**
+     * Dibuja un GeoJSON (FeatureCollection, Feature o geometría) con los estilos del wrapper:
+     * - Point: marcador (properties.icon, properties.popup, properties.id, properties.data);
+     *   si trae properties.radius se dibuja como círculo.
+     * - LineString: ruta registrada como las de drawRoute (se limpia con clearRoutes).
+     * - Polygon: zona con el estilo de los círculos.
+     * properties.shape marca las figuras de la barra de dibujo (ver enableDrawing).
+     * properties.style sobrescribe el estilo de cada feature. Las variantes Multi* y
+     * GeometryCollection se descomponen.
+     * @param {Object} geojson       - Objeto GeoJSON.
+     * @param {Object} [styleOptions] - { icon, color, weight, opacity, dashArray, fillColor, fillOpacity, group, fitBounds: true }
+     * @returns {{markers: L.Marker[], circles: L.Circle[], routes: L.Polyline[], polygons: L.Polygon[]}}
+     * @example
+     * const saved = JSON.parse(localStorage.getItem('mapa'));
+     * map.loadGeoJSON(saved, { fitBounds: true });
+     */
+    loadGeoJSON(geojson, styleOptions = {}) {
+        const layers = { markers: [], circles: [], routes: [], polygons: [] };
+        if (!this.#requireMap()) return layers;
+
+        const { fitBounds = true, ...style } = styleOptions;
+        const features = geojson?.type === 'FeatureCollection'
+            ? geojson.features
+            : [geojson?.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: {} }];
+
+        features.forEach(feature => this.#addGeoJSONGeometry(feature.geometry, feature.properties ?? {}, style, layers));
+
+        const all = Object.values(layers).flat();
+        if (fitBounds && all.length > 0) {
+            this.#map.fitBounds(L.featureGroup(all).getBounds(), { padding: [30, 30] });
+        }
+
+        return layers;
+    }
+
+    /**
+     * Exporta como FeatureCollection todo lo dibujado con el wrapper: marcadores, círculos
+     * (Point con properties.radius), polígonos y rutas (LineString con distance, distanceKm,
+     * duration, durationMin, type y legs). El marcador del selector no se incluye.
+     * El resultado puede volver a cargarse con loadGeoJSON.
+     * @returns {Object} FeatureCollection GeoJSON.
+     * @example
+     * localStorage.setItem('mapa', JSON.stringify(map.toGeoJSON()));
+     */
+    toGeoJSON() {
+        const feature = (geometry, properties) => ({ type: 'Feature', geometry, properties });
+        const toPosition = ({ lat, lng }) => [lng, lat];
+        const popupOf = (layer) => {
+            const content = layer.getPopup()?.getContent();
+            return content instanceof HTMLElement ? content.outerHTML : content ?? null;
+        };
+        const styleOf = ({ options }) => OpenStreetMap.#compact({
+            color: options.color,
+            weight: options.weight,
+            opacity: options.opacity,
+            dashArray: options.dashArray,
+            fillColor: options.fill ? options.fillColor : undefined,
+            fillOpacity: options.fill ? options.fillOpacity : undefined,
+        });
+
+        const markers = [...this.#markers.values()]
+            .filter(marker => marker !== this.#selectorMarker)
+            .map(marker => feature(
+                { type: 'Point', coordinates: toPosition(marker.getLatLng()) },
+                { kind: 'marker', id: marker.options.id, icon: marker.options.icon.options.html, popup: popupOf(marker), data: marker.options.data, group: marker.options.group, shape: marker.options.shape }
+            ));
+
+        const circles = [...this.#circles.values()].map(circle => feature(
+            { type: 'Point', coordinates: toPosition(circle.getLatLng()) },
+            { kind: 'circle', id: circle.options.id, radius: circle.getRadius(), popup: popupOf(circle), data: circle.options.data, group: circle.options.group, shape: circle.options.shape, style: styleOf(circle) }
+        ));
+
+        const polygons = [...this.#polygons.values()].map(polygon => {
+            const rings = polygon.getLatLngs();
+            const isMulti = Array.isArray(rings[0]?.[0]);
+            const closeRing = (ring) => [...ring, ring[0]].map(toPosition);
+            return feature(
+                isMulti
+                    ? { type: 'MultiPolygon', coordinates: rings.map(polygonRings => polygonRings.map(closeRing)) }
+                    : { type: 'Polygon', coordinates: rings.map(closeRing) },
+                { kind: 'polygon', id: polygon.options.id, popup: popupOf(polygon), data: polygon.options.data, group: polygon.options.group, shape: polygon.options.shape, style: styleOf(polygon) }
+            );
+        });
+
+        const routes = this.#routeLayers.flatMap(({ polylines, data }) =>
+            polylines.map((polyline, index) => {
+                const { distance, distanceKm, duration, durationMin, type, legs } = data?.[index] ?? {};
+                const latlngs = polyline.getLatLngs();
+                const isMulti = Array.isArray(latlngs[0]);
+                return feature(
+                    isMulti
+                        ? { type: 'MultiLineString', coordinates: latlngs.map(line => line.map(toPosition)) }
+                        : { type: 'LineString', coordinates: latlngs.map(toPosition) },
+                    { kind: 'route', distance, distanceKm, duration, durationMin, type, legs, group: polyline.options.group, shape: polyline.options.shape, style: styleOf(polyline) }
+                );
+            })
+        );
+
+        return { type: 'FeatureCollection', features: [...markers, ...circles, ...polygons, ...routes] };
+    }
+
+    // ── GPX / KML ──────────────────────────────────────
+
+    /**
+     * Convierte un GPX en GeoJSON: tracks (trk) y rutas (rte) como LineString/MultiLineString
+     * con properties.coordTimes (ISO por punto, si el GPX trae <time>), y waypoints (wpt) como Point.
+     * @param {string|Document} gpx - Texto o documento XML GPX.
+     * @returns {Object} FeatureCollection GeoJSON.
+     */
+    static parseGPX(gpx) {
+        const doc = OpenStreetMap.#parseXml(gpx, 'GPX');
+        if (!doc) return { type: 'FeatureCollection', features: [] };
+
+        const byTag = (node, name) => [...node.getElementsByTagNameNS('*', name)];
+        const text = (node, name) => byTag(node, name)[0]?.textContent.trim() ?? null;
+        const toPoint = (pt) => ({
+            position: [parseFloat(pt.getAttribute('lon')), parseFloat(pt.getAttribute('lat'))],
+            time: text(pt, 'time'),
+        });
+        const popupFor = (name, desc) => [name, desc].filter(Boolean).map(OpenStreetMap.#escapeHtml).join('<br>') || null;
+
+        const lineFeature = (node, segments, type) => {
+            const lines = segments.map(points => points.map(toPoint)).filter(line => line.length > 1);
+            if (!lines.length) return null;
+
+            const times = lines.flat().map(({ time }) => time);
+            const name = text(node, 'name');
+            return {
+                type: 'Feature',
+                geometry: lines.length === 1
+                    ? { type: 'LineString', coordinates: lines[0].map(({ position }) => position) }
+                    : { type: 'MultiLineString', coordinates: lines.map(line => line.map(({ position }) => position)) },
+                properties: {
+                    name,
+                    type,
+                    popup: popupFor(name, text(node, 'desc')),
+                    ...(times.every(Boolean) && { coordTimes: times }),
+                },
+            };
+        };
+
+        const tracks = byTag(doc, 'trk').map(trk => lineFeature(trk, byTag(trk, 'trkseg').map(seg => byTag(seg, 'trkpt')), 'track'));
+        const routes = byTag(doc, 'rte').map(rte => lineFeature(rte, [byTag(rte, 'rtept')], 'route'));
+        const waypoints = byTag(doc, 'wpt').map(wpt => {
+            const { position, time } = toPoint(wpt);
+            const name = text(wpt, 'name');
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: position },
+                properties: { name, time, popup: popupFor(name, text(wpt, 'desc')) },
+            };
+        });
+
+        return { type: 'FeatureCollection', features: [...tracks, ...routes, ...waypoints].filter(Boolean) };
+    }
+
+    /**
+     * Convierte un KML en GeoJSON: Placemarks con Point, LineString, Polygon, MultiGeometry
+     * y gx:Track (este último con properties.coordTimes tomadas de <when>).
+     * @param {string|Document} kml - Texto o documento XML KML.
+     * @returns {Object} FeatureCollection GeoJSON.
+     */
+    static parseKML(kml) {
+        const doc = OpenStreetMap.#parseXml(kml, 'KML');
+        if (!doc) return { type: 'FeatureCollection', features: [] };
+
+        const byTag = (node, name) => [...node.getElementsByTagNameNS('*', name)];
+        const directChild = (node, name) => [...node.children].find(child => child.localName === name);
+        const parseCoordinates = (value) => value.trim().split(/\s+/).filter(Boolean)
+            .map(tuple => tuple.split(',').slice(0, 2).map(parseFloat));
+
+        // Coordenadas del <coordinates> del nodo, o null si falta o está vacío
+        const coordinatesOf = (node) => {
+            const coordinates = parseCoordinates(byTag(node, 'coordinates')[0]?.textContent ?? '');
+            return coordinates.length ? coordinates : null;
+        };
+
+        // Las geometrías sin coordenadas se omiten (como los segmentos GPX vacíos) en lugar de abortar el archivo
+        const toGeometries = (node) => {
+            switch (node.localName) {
+                case 'Point': {
+                    const coordinates = coordinatesOf(node);
+                    return coordinates ? [{ type: 'Point', coordinates: coordinates[0] }] : [];
+                }
+                case 'LineString': {
+                    const coordinates = coordinatesOf(node);
+                    return coordinates ? [{ type: 'LineString', coordinates }] : [];
+                }
+                case 'Polygon': {
+                    const [outer] = byTag(node, 'outerBoundaryIs').map(coordinatesOf);
+                    if (!outer) return [];
+                    const holes = byTag(node, 'innerBoundaryIs').map(coordinatesOf).filter(Boolean);
+                    return [{ type: 'Polygon', coordinates: [outer, ...holes] }];
+                }
+                case 'Track': {
+                    const coordinates = byTag(node, 'coord').map(coord => coord.textContent.trim().split(/\s+/).slice(0, 2).map(parseFloat));
+                    return coordinates.length ? [{
+                        type: 'LineString',
+                        coordinates,
+                        coordTimes: byTag(node, 'when').map(when => when.textContent.trim()),
+                    }] : [];
+                }
+                case 'MultiGeometry':
+                case 'MultiTrack':
+                    return [...node.children].flatMap(toGeometries);
+                default:
+                    return [];
+            }
+        };
+
+        const features = byTag(doc, 'Placemark').flatMap(placemark => {
+            const name = directChild(placemark, 'name')?.textContent.trim() ?? null;
+            // <description> suele traer HTML de terceros: se deja solo su texto y se escapa como el nombre
+            const description = OpenStreetMap.#plainText(directChild(placemark, 'description')?.textContent ?? null);
+            const popup = [name, description].filter(Boolean).map(OpenStreetMap.#escapeHtml).join('<br>') || null;
+
+            return [...placemark.children].flatMap(toGeometries).map(({ coordTimes, ...geometry }) => ({
+                type: 'Feature',
+                geometry,
+                properties: {
+                    name,
+                    popup,
+                    ...(coordTimes?.length && { type: 'track', coordTimes }),
+                },
+            }));
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Dibuja un GPX con los estilos del wrapper (ver parseGPX y loadGeoJSON) y calcula
+     * distancia (Haversine) y duración de cada track.
+     * @param {string|Document} gpx - Texto o documento XML GPX.
+     * @param {Object} [styleOptions] - Las mismas opciones que loadGeoJSON (icon por defecto '📍').
+     * @returns {{markers, circles, routes, polygons, tracks, distance, distanceKm}}
+     *   tracks: [{ name, distance, distanceKm, duration, durationMin, coordinates, times, polyline }, ...]
+     *   listos para playTrack.
+     * @example
+     * const { tracks, distanceKm } = map.loadGPX(await archivo.text());
+     * map.playTrack(tracks[0], { speed: 30 });
+     */
+    loadGPX(gpx, styleOptions = {}) {
+        return this.#loadTracks(OpenStreetMap.parseGPX(gpx), styleOptions);
+    }
+
+    /**
+     * Dibuja un KML con los estilos del wrapper (ver parseKML y loadGeoJSON).
+     * @param {string|Document} kml - Texto o documento XML KML.
+     * @param {Object} [styleOptions] - Las mismas opciones que loadGeoJSON (icon por defecto '📍').
+     * @returns {{markers, circles, routes, polygons, tracks, distance, distanceKm}} Igual que loadGPX.
+     */
+    loadKML(kml, styleOptions = {}) {
+        return this.#loadTracks(OpenStreetMap.parseKML(kml), styleOptions);
+    }
+
+    /**
+     * Reproduce un track animando un marcador según sus marcas de tiempo. Si el track no
+     * tiene tiempos, se recorre a velocidad constante (speedKmh del perfil driving).
+     * Muestra un control con reproducir/pausa, velocidad y tiempo del track.
+     * @param {Object} track   - Un elemento de `tracks` devuelto por loadGPX/loadKML.
+     * @param {Object} [options]
+     * @param {string}  [options.icon='🚚']        - Icono del marcador.
+     * @param {number}  [options.speed=10]         - Multiplicador de velocidad (10 = 10 s del track por segundo).
+     * @param {boolean} [options.loop=false]       - Volver a empezar al terminar.
+     * @param {boolean} [options.follow=false]     - Centrar el mapa en el marcador.
+     * @param {boolean} [options.autoplay=true]    - Empezar a reproducir de inmediato.
+     * @param {boolean|string} [options.controls='bottomleft'] - Posición del control, o false para ocultarlo.
+     * @param {Function} [options.onProgress]      - Callback ({ time, progress, lat, lng }) en cada frame.
+     * @returns {Object|null} Controlador { play, pause, stop, setSpeed, seek, destroy, playing, progress }.
+     * @example
+     * const playback = map.playTrack(tracks[0], { speed: 60, follow: true });
+     * playback.pause();
+     * playback.seek(0.5);
+     */
+    playTrack(track, options = {}) {
+        if (!this.#requireMap()) return null;
+
+        if (!track?.coordinates?.length || track.coordinates.length < 2) {
+            console.warn('OpenStreetMap: playTrack requiere un track con al menos 2 puntos.');
+            return null;
+        }
+
+        const {
+            icon = '🚚',
+            speed: initialSpeed = 10,
+            loop = false,
+            follow = false,
+            autoplay = true,
+            controls = 'bottomleft',
+            onProgress = null,
+        } = options;
+
+        const { coordinates } = track;
+        const times = track.times ?? OpenStreetMap.#syntheticTimes(coordinates, OpenStreetMap.PROFILES.driving.speedKmh);
+        const start = times[0];
+        const total = times[times.length - 1] - start;
+
+        const markerId = `playback-${L.stamp(track)}`;
+        this.addMarker(...coordinates[0], icon, null, { id: markerId });
+
+        let elapsed = 0;
+        let speed = initialSpeed;
+        let frame = null;
+        let lastFrame = null;
+        let control = null;
+        let ui = null;
+
+        const positionAt = (time) => {
+            // Búsqueda binaria del tramo que contiene `time`
+            let low = 0, high = times.length - 1;
+            while (high - low > 1) {
+                const mid = (low + high) >> 1;
+                if (times[mid] <= time) low = mid; else high = mid;
+            }
+            const span = times[high] - times[low];
+            const ratio = span > 0 ? Math.min(Math.max((time - times[low]) / span, 0), 1) : 0;
+            const [lat1, lng1] = coordinates[low];
+            const [lat2, lng2] = coordinates[high];
+            return [lat1 + (lat2 - lat1) * ratio, lng1 + (lng2 - lng1) * ratio];
+        };
+
+        const render = () => {
+            const [lat, lng] = positionAt(start + elapsed);
+            this.updateMarker(markerId, { lat, lng });
+            if (follow) this.#map.panTo([lat, lng], { animate: false });
+
+            const progress = total > 0 ? elapsed / total : 1;
+            if (ui) {
+                ui.time.textContent = OpenStreetMap.#formatClock(elapsed / 1000);
+                ui.range.value = String(Math.round(progress * 1000));
+            }
+            onProgress?.({ time: new Date(start + elapsed).toISOString(), progress, lat, lng });
+        };
+
+        const tick = (now) => {
+            elapsed += (now - (lastFrame ?? now)) * speed;
+            lastFrame = now;
+
+            if (elapsed >= total) {
+                if (loop) {
+                    elapsed = 0;
+                } else {
+                    elapsed = total;
+                    render();
+                    playback.pause();
+                    return;
+                }
+            }
+
+            render();
+            frame = requestAnimationFrame(tick);
+        };
+
+        const playback = {
+            get playing() { return frame !== null; },
+            get progress() { return total > 0 ? elapsed / total : 1; },
+            play() {
+                if (frame !== null) return playback;
+                if (elapsed >= total) elapsed = 0;
+                lastFrame = null;
+                frame = requestAnimationFrame(tick);
+                if (ui) ui.toggle.textContent = '⏸';
+                return playback;
+            },
+            pause() {
+                cancelAnimationFrame(frame);
+                frame = null;
+                if (ui) ui.toggle.textContent = '▶';
+                return playback;
+            },
+            stop() {
+                playback.pause();
+                elapsed = 0;
+                render();
+                return playback;
+            },
+            setSpeed(value) {
+                speed = value;
+                if (ui) ui.speed.value = String(value);
+                return playback;
+            },
+            seek(fraction) {
+                elapsed = Math.min(Math.max(fraction, 0), 1) * total;
+                render();
+                return playback;
+            },
+            destroy: () => {
+                playback.pause();
+                control?.remove();
+                this.removeMarker(markerId);
+                this.#playbacks.delete(playback);
+            },
+        };
+        this.#playbacks.add(playback);
+
+        if (controls) {
+            control = L.control({ position: controls === true ? 'bottomleft' : controls });
+            control.onAdd = () => {
+                const container = L.DomUtil.create('div', 'map-playback leaflet-bar');
+                L.DomEvent.disableClickPropagation(container);
+
+                const toggle = L.DomUtil.create('button', 'map-playback-toggle', container);
+                toggle.type = 'button';
+                toggle.textContent = '▶';
+                toggle.addEventListener('click', () => (playback.playing ? playback.pause() : playback.play()));
+
+                const range = L.DomUtil.create('input', 'map-playback-range', container);
+                Object.assign(range, { type: 'range', min: '0', max: '1000', value: '0' });
+                range.addEventListener('input', () => playback.seek(Number(range.value) / 1000));
+
+                const speedSelect = L.DomUtil.create('select', 'map-playback-speed', container);
+                [1, 5, 10, 30, 60, 120].forEach(value => {
+                    const option = L.DomUtil.create('option', '', speedSelect);
+                    option.value = String(value);
+                    option.textContent = `${value}x`;
+                });
+                speedSelect.value = String(speed);
+                speedSelect.addEventListener('change', () => playback.setSpeed(Number(speedSelect.value)));
+
+                const time = L.DomUtil.create('span', 'map-playback-time', container);
+                time.textContent = OpenStreetMap.#formatClock(0);
+
+                ui = { toggle, range, speed: speedSelect, time };
+                return container;
+            };
+            control.addTo(this.#map);
+        }
+
+        if (autoplay) playback.play();
+        return playback;
+    }
+
+    // ── Seguimiento en vivo ────────────────────────────
+
+    /**
+     * Sigue en vivo las posiciones de una flota (requiere tracking.map.js). Cada vehículo es un
+     * marcador registrado por id (ver getMarker) que se desplaza sin recrearse entre actualizaciones,
+     * con su rastro reciente; los que dejan de reportar se atenúan.
+     * @param {string|Function|AsyncIterable} source - URL ws(s)://, función de polling que devuelve
+     *   (una promesa de) { id, lat, lng, icon?, popup?, data? } o un arreglo de ellas, o iterador
+     *   asíncrono (p. ej. LiveTracker.mockFeed()).
+     * @param {Object} [options] - Ver LiveTracker.DEFAULTS, más:
+     * @param {string} [options.icon='🚚'] - Icono de los vehículos que no traen el suyo.
+     * @param {string} [options.group]     - Grupo de capas de los marcadores (ver addOverlay).
+     * @returns {LiveTracker|null} Controlador: follow(id), push(), remove(id), entities, stop(), destroy().
+     * @example
+     * const flota = map.track(() => fetch('/api/motos').then(r => r.json()), { interval: 10000 });
+     * flota.follow('moto-12');
+     * map.on('trackStale', ({ id }) => console.warn(`${id} sin señal`));
+     */
+    track(source, options = {}) {
+        if (!this.#requireMap()) return null;
+
+        if (typeof LiveTracker === 'undefined') {
+            console.warn('OpenStreetMap: tracking.map.js no está cargado, no se puede seguir la flota.');
+            return null;
+        }
+
+        const { icon = '🚚', group = null, ...trackerOptions } = options;
+
+        const tracker = new LiveTracker(this.#map, source, {
+            // Sin addMarker: no se abre el popup de cada vehículo al aparecer
+            create: ({ id, lat, lng, icon: ownIcon, popup, data }) =>
+                this.#addLayer(this.#createMarker(lat, lng, ownIcon ?? icon, popup ?? null, { id, data }), group),
+            move: (marker, { id, lat, lng, icon: ownIcon, popup, data }, duration) => this.getMarker(id) === marker
+                ? this.updateMarker(id, { lat, lng, icon: ownIcon, popup, data, animate: duration > 0, duration })
+                : null,
+            remove: (marker) => {
+                if (this.getMarker(marker.options.id) === marker) this.removeMarker(marker.options.id);
+            },
+            event: (name, payload) => this.#emit(`track${name[0].toUpperCase()}${name.slice(1)}`, payload),
+        }, trackerOptions);
+
+        this.#trackers.add(tracker);
+        return tracker;
+    }
+
+    /**
+     * Detiene todos los seguimientos y quita sus vehículos y rastros.
+     * @returns {this}
+     */
+    stopTracking() {
+        this.#trackers.forEach(tracker => tracker.destroy());
+        this.#trackers.clear();
+        return this;
+    }
+
+    // ── Exportar e imprimir ────────────────────────────
+
+    /**
+     * Exporta la vista actual como imagen (requiere export.map.js): tiles visibles, rutas, círculos,
+     * polígonos y marcadores. Los tiles de otro dominio solo se incluyen si el mapa se creó con
+     * { exportable: true } y el servidor permite CORS (ver MapExporter); si no, se omiten y la
+     * imagen sale sin fondo de mapa.
+     * @param {Object} [options]
+     * @param {string} [options.format='png']    - 'png' | 'jpeg' | 'webp'.
+     * @param {number} [options.scale=1]         - Factor de resolución (2 para pantallas retina o impresión).
+     * @param {number} [options.quality=0.92]    - Calidad para jpeg/webp (0 a 1).
+     * @param {string} [options.output='blob']   - 'blob' | 'dataURL' | 'canvas'.
+     * @returns {Promise<Blob|string|HTMLCanvasElement|null>} null si no se pudo exportar.
+     * @example
+     * const blob = await map.exportImage({ format: 'jpeg', scale: 2 });
+     * const link = Object.assign(document.createElement('a'), { href: URL.createObjectURL(blob), download: 'mapa.jpg' });
+     * link.click();
+     */
+    async exportImage({ format = 'png', scale = 1, quality = 0.92, output = 'blob' } = {}) {
+        const exporter = this.#createExporter();
+        if (!exporter) return null;
+
+        try {
+            if (output === 'canvas') return exporter.toCanvas({ scale });
+            if (output === 'dataURL') return exporter.toCanvas({ scale }).toDataURL(`image/${format}`, quality);
+            return await exporter.toBlob({ format, scale, quality });
+        } catch (error) {
+            // SecurityError: algún tile llegó sin cabeceras CORS y el canvas quedó bloqueado
+            console.error('OpenStreetMap: No se pudo exportar la imagen del mapa.', error);
+            return null;
+        }
+    }
+
+    /**
+     * Abre el diálogo de impresión con la imagen del mapa, título, leyenda y, si hay una ruta
+     * dibujada (la última de drawRoute/drawWaypointRoute), su resumen y la lista de paradas.
+     * @param {Object} [options]
+     * @param {string} [options.title]           - Por defecto el texto "windowTitle" del idioma.
+     * @param {string} [options.subtitle]        - Por defecto la fecha y hora actuales.
+     * @param {Array}  [options.legend]          - [{ icon: '🏠', label }, { color: '#2C6B94', label }, ...].
+     *   Por defecto, la línea de la última ruta.
+     * @param {boolean} [options.summary=true]   - Incluir distancia (distanceKm) y duración (durationMin).
+     * @param {boolean} [options.stops=true]     - Incluir la lista de paradas en orden de visita.
+     * @param {number} [options.scale=2]         - Resolución de la imagen del mapa.
+     * @returns {Promise<this|null>} Se resuelve al cerrar el diálogo de impresión.
+     * @example
+     * await map.drawWaypointRoute(paradas, { useRoadRoute: true });
+     * map.printMap({ title: 'Reparto del lunes', legend: [{ icon: '🏠', label: 'Depósito' }] });
+     */
+    async printMap(options = {}) {
+        const exporter = this.#createExporter();
+        if (!exporter) return null;
+
+        const { result, stops: routeStops = [], color = '#2C6B94' } = this.#lastRoute ?? {};
+        const {
+            title = this.translate('windowTitle'),
+            subtitle = new Date().toLocaleString(this.config.locale),
+            legend = result ? [{ color, label: this.translate('printRoute') }] : [],
+            summary = true,
+            stops = true,
+            scale = 2,
+        } = options;
+
+        let image;
+        try {
+            image = exporter.toCanvas({ scale }).toDataURL('image/png');
+        } catch (error) {
+            console.error('OpenStreetMap: No se pudo exportar la imagen del mapa.', error);
+            return null;
+        }
+
+        const summaryRows = summary && result ? [
+            { label: this.translate('printDistance'), value: `${this.formatNumber(result.distanceKm)} km` },
+            result.durationMin == null ? null : { label: this.translate('printDuration'), value: `${this.formatNumber(result.durationMin)} min` },
+        ].filter(Boolean) : [];
+
+        const stopRows = stops ? routeStops.map((stop, index) => ({
+            label: stop.name ?? OpenStreetMap.#plainText(stop.popup) ?? this.translate('printStop', { n: index + 1 }),
+            detail: `${Number(stop.lat).toFixed(5)}, ${Number(stop.lng).toFixed(5)}`,
+        })) : [];
+
+        await exporter.print({
+            image, title, subtitle, legend,
+            summary: summaryRows,
+            stops: stopRows,
+            texts: {
+                legend: this.translate('printLegend'),
+                summary: this.translate('printSummary'),
+                stops: this.translate('printStops'),
+            },
+        });
+        return this;
+    }
+
+    // ── Métodos privados ───────────────────────────────
+
+    /**
+     * Libera todo lo creado desde initMap y deja la instancia como recién construida,
+     * salvo los handlers de on() (initMap los conserva al reinicializar; destroy los borra).
+     */
+    #teardown() {
+        if (!this.#map) return;
+
+        this.stopTracking();
+        [...this.#playbacks].forEach(playback => playback.destroy());
+        this.#markerAnimations.forEach(frame => cancelAnimationFrame(frame));
+        if (this.#isSelectorEnabled) this.#detachSelector();
+        this.hideNearest();
+        this.disableDrawing();
+        this.#clusters.forEach(cluster => cluster.destroy());
+        this.#resizeObserver?.disconnect();
+        window.removeEventListener('hashchange', this.#handleHashChange);
+
+        // L.Map#remove quita capas, controles y handlers de Leaflet y libera el contenedor
+        this.#map.remove();
+        this.#map = null;
+
+        this.#markerAnimations.clear();
+        this.#markers.clear();
+        this.#circles.clear();
+        this.#polygons.clear();
+        this.#overlays.clear();
+        this.#routeLayers = [];
+        this.#baseLayers = {};
+        this.#itineraryControl = null;
+        this.#searchMarker = null;
+        this.#goToMarker = null;
+        this.#clusters.clear();
+        this.#lastRoute = null;
+        this.#tileLayer = null;
+        this.#layerControl = null;
+        this.#hashState = null;
+        this.#resizeObserver = null;
+        this.#isReady = false;
+    }
+
+    /**
+     * Ajusta el mapa al tamaño del contenedor cuando este cambia (p. ej. una ventana DHTMLX que se
+     * maximiza después de crear el mapa). Se agrupa por frame para no reaccionar a cada píxel.
+     */
+    #observeResize(container) {
+        let frame = null;
+        this.#resizeObserver = new ResizeObserver(() => {
+            cancelAnimationFrame(frame);
+            frame = requestAnimationFrame(() => this.#map?.invalidateSize());
+        });
+        this.#resizeObserver.observe(container);
+    }
+
+    /** Registra un handler para on()/once(); con once se descarta tras su primera ejecución. */
+    #addListener(event, handler, once) {
+        if (typeof handler !== 'function') {
+            console.warn(`OpenStreetMap: El handler de "${event}" debe ser una función.`);
+            return this;
+        }
+
+        if (!this.#listeners.has(event)) this.#listeners.set(event, []);
+        this.#listeners.get(event).push({ handler, once });
+
+        // Como L.Map#whenReady: quien se suscribe tarde a 'ready' no se lo pierde
+        if (event === 'ready' && this.#isReady) {
+            const { lat, lng } = this.#map.getCenter();
+            this.#emitTo([{ handler }], event, { lat, lng, zoom: this.#map.getZoom() });
+            if (once) this.off(event, handler);
+        }
+        return this;
+    }
+
+    /**
+     * Crea las capas base (config.baseLayers, o solo config.tileUrl) y agrega la inicial.
+     * Con más de una capa base se muestra el selector de capas.
+     */
+    #setupBaseLayers() {
+        const { tileUrl, attribution, baseLayers, baseLayer, offlineTiles, exportable } = this.config;
+
+        let cache = null;
+        if (offlineTiles && typeof CachedTileLayer === 'undefined') {
+            console.warn('OpenStreetMap: offline.map.js no está cargado, los tiles no se guardarán sin conexión.');
+        } else if (offlineTiles && typeof indexedDB === 'undefined') {
+            console.warn('OpenStreetMap: IndexedDB no está disponible, los tiles no se guardarán sin conexión.');
+        } else if (offlineTiles) {
+            cache = new TileCache(offlineTiles === true ? {} : offlineTiles);
+        }
+
+        const definitions = baseLayers ?? { OpenStreetMap: { url: tileUrl, attribution } };
+        this.#baseLayers = {};
+        Object.entries(definitions).forEach(([name, definition]) => {
+            const preset = typeof definition === 'string' ? OpenStreetMap.BASE_LAYERS[definition] : definition;
+            if (!preset?.url) {
+                console.warn(`OpenStreetMap: Capa base desconocida "${name}".`);
+                return;
+            }
+
+            const { url, ...tileOptions } = preset;
+            // Con exportable los tiles se piden con CORS para no bloquear el canvas de exportImage
+            // (los de la caché ya son blobs locales)
+            this.#baseLayers[name] = cache
+                ? new CachedTileLayer(url, { ...tileOptions, cache })
+                : L.tileLayer(url, exportable ? { crossOrigin: true, ...tileOptions } : tileOptions);
+        });
+
+        const names = Object.keys(this.#baseLayers);
+        const initial = names.includes(baseLayer) ? baseLayer : names[0];
+        this.#tileLayer = this.#baseLayers[initial]?.addTo(this.#map) ?? null;
+
+        this.#map.on('baselayerchange', ({ layer, name }) => {
+            this.#tileLayer = layer;
+            this.#emit('baseLayerChange', { name });
+        });
+
+        if (names.length > 1) this.#ensureLayerControl();
+    }
+
+    /** Crea (una vez) el selector de capas con las capas base y los grupos. */
+    #ensureLayerControl() {
+        if (this.#layerControl || !this.config.layerControl) return this.#layerControl;
+
+        const position = this.config.layerControl === true ? 'topright' : this.config.layerControl;
+        const baseLayers = Object.keys(this.#baseLayers).length > 1 ? this.#baseLayers : {};
+        this.#layerControl = L.control.layers(baseLayers, Object.fromEntries(this.#overlays), { position }).addTo(this.#map);
+        return this.#layerControl;
+    }
+
+    /** Grupo de capas con nombre (lo crea visible y lo agrega al selector si no existe). */
+    #overlayGroup(name) {
+        if (!this.#overlays.has(name)) {
+            const group = L.layerGroup().addTo(this.#map);
+            this.#overlays.set(name, group);
+            this.#ensureLayerControl()?.addOverlay(group, name);
+        }
+        return this.#overlays.get(name);
+    }
+
+    /** Agrupador de marcadores de un grupo de capas (null: el mapa); se crea la primera vez que se usa. */
+    #markerCluster(group, options) {
+        if (!this.#clusters.has(group)) {
+            const layer = group == null ? this.#map : this.#overlayGroup(group);
+            this.#clusters.set(group, new MarkerCluster(this.#map, { ...(options === true ? {} : options), layer }));
+        }
+        return this.#clusters.get(group);
+    }
+
+    /** Agrega una capa al mapa o, con group, a ese grupo (visible u oculto según el selector). */
+    #addLayer(layer, group) {
+        if (group == null) return layer.addTo(this.#map);
+
+        this.#map.removeLayer(layer);
+        layer.options.group = group;
+        this.#overlayGroup(group).addLayer(layer);
+        return layer;
+    }
+
+    /** Quita una capa del mapa, de su grupo y de las figuras editables del dibujo. */
+    #removeLayer(layer) {
+        this.#drawer?.untrack(layer);
+        this.#overlays.get(layer.options.group)?.removeLayer(layer);
+        this.#map?.removeLayer(layer);
+    }
+
+    /** Nombre de la capa base activa. */
+    #baseLayerName() {
+        return Object.keys(this.#baseLayers).find(name => this.#baseLayers[name] === this.#tileLayer) ?? null;
+    }
+
+    /** Actualiza la URL con la vista, el selector y la capa base (sin agregar entradas al historial). */
+    #writeHash() {
+        if (!this.config.urlHash || !this.#map) return;
+
+        const zoom = this.#map.getZoom();
+        const { lat, lng } = this.#map.getCenter();
+        // Con más zoom hacen falta más decimales para no desplazar la vista al restaurarla
+        const precision = Math.max(0, Math.ceil(Math.log2(zoom)));
+        const params = new URLSearchParams(location.hash.slice(1));
+
+        params.set('map', `${zoom}/${lat.toFixed(precision)}/${lng.toFixed(precision)}`);
+        if (this.#selectedCoords) {
+            const { lat: selLat, lng: selLng } = this.#selectedCoords;
+            params.set('sel', `${parseFloat(selLat).toFixed(6)},${parseFloat(selLng).toFixed(6)}`);
+        } else {
+            params.delete('sel');
+        }
+        const layer = Object.keys(this.#baseLayers).length > 1 ? this.#baseLayerName() : null;
+        if (layer) params.set('layer', layer);
+        else params.delete('layer');
+
+        // URLSearchParams codifica '/' y ','; se dejan legibles
+        const hash = `#${params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',')}`;
+        if (hash !== location.hash) history.replaceState(history.state, '', hash);
+    }
+
+    /** Aplica un hash pegado o editado a mano en la barra de direcciones. */
+    #handleHashChange = () => {
+        const { view, selector, layer } = OpenStreetMap.#parseHash(location.hash);
+
+        if (layer && this.#baseLayers[layer]) this.setBaseLayer(layer);
+        if (view) this.setView(view.lat, view.lng, view.zoom);
+        if (selector && this.#isSelectorEnabled) this.placeSelector(selector.lat, selector.lng);
+    };
+
+    /** Lee #map=zoom/lat/lng&sel=lat,lng&layer=Nombre; las partes inválidas se ignoran. */
+    static #parseHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const numbers = (value, separator) => value?.split(separator).map(Number);
+
+        const [zoom, lat, lng] = numbers(params.get('map'), '/') ?? [];
+        const [selLat, selLng] = numbers(params.get('sel'), ',') ?? [];
+        const valid = (...values) => values.every(Number.isFinite);
+
+        return {
+            view: valid(zoom, lat, lng) ? { zoom, lat, lng } : null,
+            selector: valid(selLat, selLng) ? { lat: selLat, lng: selLng } : null,
+            layer: params.get('layer'),
+        };
+    }
+
+    /** Completa bounds/zoom de prefetchArea y estimateArea con la vista actual. */
+    #resolveArea(bounds, minZoom, maxZoom) {
+        minZoom = minZoom ?? this.#map.getZoom();
+        return {
+            bounds: bounds ? L.latLngBounds(bounds) : this.#map.getBounds(),
+            minZoom,
+            maxZoom: maxZoom ?? minZoom + 2,
+        };
+    }
+
+    /** Ejecuta los handlers de un evento y descarta los registrados con once(). */
+    #emit(event, payload) {
+        const listeners = this.#listeners.get(event);
+        if (!listeners) return;
+
+        const remaining = listeners.filter(({ once }) => !once);
+        if (remaining.length) this.#listeners.set(event, remaining);
+        else this.#listeners.delete(event);
+
+        this.#emitTo(listeners, event, payload);
+    }
+
+    /**
+     * Llama a cada handler con el payload; un handler que falla (o un handler async cuya promesa
+     * se rechaza) solo deja un aviso y no interrumpe a los demás.
+     */
+    #emitTo(listeners, event, payload) {
+        const warn = (error) => console.warn(`OpenStreetMap: Error en un handler de "${event}":`, error);
+        listeners.forEach(({ handler }) => {
+            try {
+                const result = handler(payload);
+                if (typeof result?.then === 'function') result.then(null, warn);
+            } catch (error) {
+                warn(error);
+            }
+        });
+    }
+
+    /** Entrega la selección confirmada al callback de setupSelector y al evento select. */
+    #notifySelect(coords) {
+        if (this.#onSelectCallback) this.#emitTo([{ handler: this.#onSelectCallback }], 'select', coords);
+        this.#emit('select', coords);
+    }
+
+    /** Quita el marcador del selector y su estado sin emitir 'cleared' (se usa al moverlo). */
+    #removeSelectorMarker() {
+        if (!this.#selectorMarker) return;
+
+        this.removeMarker(this.#selectorMarker.options.id);
+        this.#selectorMarker = null;
+        this.#selectedCoords = null;
+        this.#selectedAddress = null;
+        this.#addressRequest = null;
+    }
+
+    /** Maneja el evento clic en el mapa para el selector de coordenadas. */
+    #handleMapClick(e) {
+        // No depende del orden de registro: el dibujo puede haber terminado ya en este mismo clic
+        if (!this.#isSelectorEnabled || this.#drawer?.active) return;
+
+        const lat = e.latlng.lat?.toFixed(8);
+        const lng = e.latlng.lng?.toFixed(8);
+        if (lat == null || lng == null) return;
+
+        // Con poco zoom un clic abarca demasiado terreno para ubicar el punto con precisión
+        const { minZoom } = this.#selectorOptions;
+        if (minZoom != null && this.#map.getZoom() < minZoom) {
+            this.#reportSelectorIssue({ code: 'zoom', type: 'error', message: this.translate('selectorZoomIn', { zoom: minZoom }) },
+                { lat: e.latlng.lat, lng: e.latlng.lng });
+            return;
+        }
+
+        this.placeSelector(lat, lng);
+    }
+
+    /**
+     * Vuelve a crear los marcadores numerados del selector múltiple (tras agregar, mover o quitar puntos).
+     * No se registran como marcadores: clearMarkers, setState y toGeoJSON no los tocan.
+     */
+    #renderSelectorPoints() {
+        const draggable = Boolean(this.#selectorOptions.draggable);
+
+        this.#selectorPoints.forEach((point, index) => {
+            if (point.marker) this.#removeLayer(point.marker);
+
+            const { lat, lng } = point;
+            const marker = this.#addLayer(this.#createMarker(
+                lat, lng,
+                `<span class="map-stop-number">${index + 1}</span>`,
+                this.#buildPointPopup(lat, lng, index),
+                { draggable, register: false }
+            ));
+            marker.on('dragend', () => {
+                const { lat: newLat, lng: newLng } = marker.getLatLng();
+                Object.assign(point, { lat: newLat.toFixed(8), lng: newLng.toFixed(8) });
+                this.#renderSelectorPoints();
+            });
+            point.marker = marker;
+        });
+
+        this.#emit('selectorChange', { points: this.getSelectedPoints() });
+    }
+
+    /** Quita los puntos del selector múltiple sin emitir eventos. */
+    #removeSelectorPoints() {
+        this.#selectorPoints.forEach(({ marker }) => marker && this.#removeLayer(marker));
+        this.#selectorPoints = [];
+    }
+
+    /** Barra del modo multiple: deshacer, quitar todos y confirmar. */
+    #addSelectorToolbar(position) {
+        const control = L.control({ position });
+        control.onAdd = () => {
+            const bar = L.DomUtil.create('div', 'map-selector-toolbar leaflet-bar');
+            L.DomEvent.disableClickPropagation(bar);
+
+            [
+                ['↶', 'selectorUndo', () => this.undoSelectorPoint()],
+                ['🗑️', 'selectorClear', () => this.clearSelector()],
+                ['🏁', 'selectorConfirm', () => this.confirmSelection()],
+            ].forEach(([text, titleKey, action]) => {
+                const button = L.DomUtil.create('a', 'map-selector-toolbar-btn', bar);
+                Object.assign(button, { href: '#', role: 'button', textContent: text, title: this.translate(titleKey).replace(/^\P{L}+/u, '') });
+                L.DomEvent.on(button, 'click', (e) => {
+                    L.DomEvent.preventDefault(e);
+                    action();
+                });
+            });
+
+            return bar;
+        };
+        this.#selectorToolbar = control.addTo(this.#map);
+    }
+
+    /** Valida todos los puntos del modo multiple y los entrega al callback; se detiene en el primer error. */
+    #confirmSelectorPoints() {
+        const points = this.getSelectedPoints();
+        if (points.length === 0) {
+            this.#reportSelectorIssue({ code: 'empty', type: 'error', message: this.translate('selectorEmpty') }, null);
+            return null;
+        }
+
+        const warnings = [];
+        const confirmed = [];
+        for (const point of points) {
+            const zoneCheck = this.#checkSelectorZones(point);
+            const issues = this.#validateSelectorPoint(this.#selectorPoints[point.index], point, zoneCheck);
+            const error = issues.find(issue => issue.type === 'error');
+            if (error) {
+                this.#reportSelectorIssue(error, point);
+                return null;
+            }
+            warnings.push(...issues.map(issue => [issue, point]));
+            confirmed.push({ ...point, ...zoneCheck });
+        }
+
+        // Un aviso por tipo, no uno por cada punto
+        const seen = new Set();
+        warnings.forEach(([issue, point]) => {
+            if (seen.has(issue.code)) return;
+            seen.add(issue.code);
+            this.#reportSelectorIssue(issue, point);
+        });
+
+        this.#notifySelect(confirmed);
+        return confirmed;
+    }
+
+    /**
+     * Reglas de setupSelector para un punto (bounds, minDecimals, outsideZone, validate).
+     * raw conserva lat/lng tal como se recibieron, para medir sus decimales.
+     * @returns {Array<{code, message, type}>} Vacío si el punto es válido.
+     */
+    #validateSelectorPoint(raw, point, zoneCheck) {
+        const { bounds, minDecimals, outsideZone, validate } = this.#selectorOptions;
+        const issues = [];
+        const error = (code, message) => issues.push({ code, message, type: 'error' });
+
+        if (bounds && !L.latLngBounds(bounds).contains([point.lat, point.lng])) {
+            error('outsideBounds', this.translate('selectorOutsideBounds'));
+        }
+
+        const decimals = (value) => (String(value).split('.')[1] ?? '').length;
+        if (minDecimals != null && Math.min(decimals(raw.lat), decimals(raw.lng)) < minDecimals) {
+            error('precision', this.translate('selectorPrecision', { decimals: minDecimals }));
+        }
+
+        if (zoneCheck && !zoneCheck.insideZone) {
+            if (outsideZone === 'reject') error('outsideZone', this.translate('selectorOutsideZone'));
+            else issues.push({ code: 'outsideZone', message: this.translate('selectorOutsideZoneWarning'), type: 'warning' });
+        }
+
+        const result = validate?.(point);
+        if (result === false) error('custom', this.translate('selectorInvalid'));
+        else if (typeof result === 'string') error('custom', result);
+
+        return issues;
+    }
+
+    /** Muestra un error o aviso del selector con options.renderError, o con config.notify / alert. */
+    #reportSelectorIssue(issue, point) {
+        const { renderError } = this.#selectorOptions;
+        if (renderError) renderError(issue, point);
+        else this.#notify(issue.message, issue.type);
+    }
+
+    /**
+     * Resuelve la dirección del punto del selector (tras config.reverseGeocodeDelay) y actualiza su popup.
+     * Si el selector se mueve antes de terminar, el resultado se descarta.
+     */
+    #resolveSelectorAddress(lat, lng) {
+        // Clics o arrastres seguidos solo consultan el último punto
+        const request = new Promise(resolve => setTimeout(resolve, this.config.reverseGeocodeDelay))
+            .then(() => (this.#addressRequest === request ? this.reverseGeocode(lat, lng) : null))
+            .then(address => {
+                if (this.#addressRequest !== request) return;
+
+                this.#addressRequest = null;
+                this.#selectedAddress = address;
+                this.#selectorMarker?.setPopupContent(this.#buildSelectorPopup(lat, lng, address));
+            });
+        this.#addressRequest = request;
+    }
+
+    /**
+     * Convierte un resultado de Control.Geocoder en campos de dirección.
+     * Nominatim anida los campos en properties.address; Photon, Pelias y el gazetteer los dejan planos.
+     */
+    static #normalizeAddress({ name, properties = {} }) {
+        const address = properties.address ?? properties;
+        return {
+            displayName: name ?? properties.display_name ?? null,
+            street: address.road ?? address.pedestrian ?? address.street ?? null,
+            houseNumber: address.house_number ?? address.housenumber ?? null,
+            neighbourhood: address.neighbourhood ?? address.suburb ?? address.district ?? null,
+            city: address.city ?? address.town ?? address.village ?? address.hamlet ?? address.locality ?? null,
+            state: address.state ?? address.region ?? null,
+            postcode: address.postcode ?? address.postalcode ?? null,
+            country: address.country ?? null,
+            countryCode: (address.country_code ?? address.countrycode ?? address.countryCode)?.toUpperCase() ?? null,
+        };
+    }
+
+    /**
+     * Convierte config.geocoder / options.geocoder en un geocodificador de Control.Geocoder.
+     * Los nombres se crean con OpenStreetMap.GEOCODERS (Nominatim usa config.geocoderUrl).
+     */
+    #resolveGeocoder(provider, restrictions = {}) {
+        if (typeof provider?.geocode === 'function') {
+            return OpenStreetMap.#restrictGeocoder(provider, restrictions);
+        }
+
+        const factory = OpenStreetMap.GEOCODERS[provider];
+        if (!factory) throw new Error(`Geocodificador desconocido: ${provider}`);
+
+        const url = provider === 'nominatim' ? { url: this.config.geocoderUrl } : {};
+        return factory({ ...url, ...OpenStreetMap.#compact(restrictions) });
+    }
+
+    /**
+     * Envuelve un geocodificador para descartar resultados fuera de countryCodes o de viewbox.
+     * Se usa con proveedores que no aplican esas restricciones en el servidor.
+     */
+    static #restrictGeocoder(geocoder, { countryCodes = null, viewbox = null } = {}) {
+        if (!countryCodes && !viewbox) return geocoder;
+
+        const codes = countryCodes?.map(code => code.toUpperCase());
+        const bounds = viewbox && L.latLngBounds(viewbox);
+        const keep = (results) => results.filter(({ center, properties = {} }) => {
+            const { countryCode } = OpenStreetMap.#normalizeAddress({ properties });
+            if (codes && countryCode && !codes.includes(countryCode)) return false;
+            return !bounds || bounds.contains(center);
+        });
+        const wrap = (method) => geocoder[method] && (async (...args) => keep(await geocoder[method].apply(geocoder, args)));
+
+        return {
+            ...geocoder,
+            geocode: wrap('geocode'),
+            suggest: wrap('suggest'),
+            reverse: wrap('reverse'),
+        };
+    }
+
+    /** Copia de obj sin las propiedades null/undefined. */
+    static #compact(obj) {
+        return Object.fromEntries(Object.entries(obj).filter(([, value]) => value != null));
+    }
+
+    /** Escapa texto para insertarlo en HTML. */
+    static #escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, (char) => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+        })[char]);
+    }
+
+    /**
+     * Genera el HTML del popup para el selector de coordenadas.
+     * address: undefined = buscando, null = sin dirección, objeto = dirección resuelta.
+     */
+    #buildSelectorPopup(lat, lng, address) {
+        const addressLine = address === undefined
+            ? `<p class="map-selector-address">${this.translate('selectorSearching')}</p>`
+            : address
+                ? `<p class="map-selector-address">📍 ${OpenStreetMap.#escapeHtml(address.displayName)}</p>`
+                : '';
+
+        return `
+            <div class="map-selector-popup">
+                <h3>${this.translate('selectorTitle')}</h3>
+                ${addressLine}
+                <p>${this.translate('selectorLatLng', { lat, lng })}</p>
+                ${this.#buildFormatsBlock(lat, lng)}
+                <a href="${OpenStreetMap.LINKS.googleMaps(lat, lng)}" 
+                   target="_blank">${this.translate('selectorGoogleMaps')}</a><br>
+                <a href="${OpenStreetMap.LINKS.openStreetMap(lat, lng)}" 
+                   target="_blank">${this.translate('selectorOpenStreetMap')}</a>
+                <button class="map-selector-confirm-btn">
+                    ${this.translate('selectorConfirm')}
+                </button>
+            </div>`;
+    }
+
+    /** Popup de un punto del selector múltiple: coordenadas, quitar y confirmar. */
+    #buildPointPopup(lat, lng, index) {
+        return `
+            <div class="map-selector-popup">
+                <h3>${this.translate('selectorPoint', { n: index + 1 })}</h3>
+                <p>${this.translate('selectorLatLng', { lat, lng })}</p>
+                ${this.#buildFormatsBlock(lat, lng)}
+                <button class="map-selector-remove-btn" data-index="${index}">
+                    ${this.translate('selectorRemove')}
+                </button>
+                <button class="map-selector-confirm-btn">
+                    ${this.translate('selectorConfirm')}
+                </button>
+            </div>`;
+    }
+
+    /** Campos que entrega el selector para un punto (ver getSelectedCoordinates). */
+    #describePoint(lat, lng, address) {
+        return {
+            lat: parseFloat(lat),
+            lng: parseFloat(lng),
+            timestamp: new Date().toISOString(),
+            formatted: `${lat}, ${lng}`,
+            googleMapsUrl: OpenStreetMap.LINKS.googleMaps(lat, lng),
+            openStreetMapUrl: OpenStreetMap.LINKS.openStreetMap(lat, lng),
+            address,
+            ...OpenStreetMap.#coordinateFormats(lat, lng),
+        };
+    }
+
+    /** Bloque plegable del popup del selector con la coordenada en otros formatos. */
+    #buildFormatsBlock(lat, lng) {
+        const { dms, utm, mgrs, plusCode } = OpenStreetMap.#coordinateFormats(lat, lng);
+        if (!dms) return '';
+
+        return `
+                <details class="map-selector-formats">
+                    <summary>${this.translate('selectorFormats')}</summary>
+                    <p>DMS: ${dms}${utm ? `<br>UTM: ${utm}<br>MGRS: ${mgrs}` : ''}<br>Plus code: ${plusCode}</p>
+                </details>`;
+    }
+
+    /** dms, utm, mgrs y plusCode del punto (vacío si coords.map.js no está cargado). */
+    static #coordinateFormats(lat, lng) {
+        if (typeof Coordinates === 'undefined') return {};
+
+        const { dms, utm, mgrs, plusCode } = Coordinates.format(parseFloat(lat), parseFloat(lng));
+        return { dms, utm, mgrs, plusCode };
+    }
+
+    /** Indica si el valor es una coordenada completa (texto, [lat, lng] o { lat, lng }) y no solo una latitud. */
+    static #isCoordinateInput(value) {
+        if (typeof value === 'string') return value.trim() !== '' && !Number.isFinite(Number(value));
+        return Array.isArray(value) || (value !== null && typeof value === 'object');
+    }
+
+    /** Lee una coordenada con Coordinates.parse; los plus codes cortos se completan con el centro del mapa. */
+    #resolvePoint(input) {
+        if (typeof Coordinates === 'undefined') {
+            console.warn('OpenStreetMap: coords.map.js no está cargado, no se puede leer la coordenada:', input);
+            return null;
+        }
+
+        const reference = this.#map?.getCenter() ?? { lat: this.config.lat, lng: this.config.lng };
+        const point = Coordinates.parse(input, { reference });
+        if (!point) console.warn('OpenStreetMap: Coordenada no reconocida:', input);
+        return point;
+    }
+
+    /**
+     * Crea un marcador (sin agregarlo al mapa) y lo registra por id.
+     * Si ya existe un marcador con ese id, lo reemplaza. Con register: false no se registra
+     * (marcadores internos que no deben aparecer en getMarker, toGeoJSON ni nearest).
+     */
+    #createMarker(lat, lng, icon, popupContent, options = {}) {
+        lat = lat ?? this.config.lat;
+        lng = lng ?? this.config.lng;
+
+        if (options.id != null && this.#markers.has(options.id)) {
+            this.removeMarker(options.id);
+        }
+
+        const marker = L.marker([lat, lng], {
+            icon: OpenStreetMap.#buildIcon(icon),
+            data: options.data ?? null,
+            draggable: options.draggable ?? false,
+        });
+
+        if (popupContent) {
+            marker.bindPopup(popupContent);
+        }
+
+        marker.options.id = options.id ?? `marker-${L.stamp(marker)}`;
+        marker.on('click', () => {
+            const { lat: markerLat, lng: markerLng } = marker.getLatLng();
+            this.#emit('markerClick', { id: marker.options.id, data: marker.options.data, lat: markerLat, lng: markerLng, marker });
+        });
+        if (options.register !== false) this.#markers.set(marker.options.id, marker);
+        return marker;
+    }
+
+    /** Dibuja una geometría GeoJSON y agrega las capas creadas a `layers` (ver loadGeoJSON). */
+    #addGeoJSONGeometry(geometry, properties, style, layers) {
+        if (!geometry) return;
+
+        const toLatLng = ([lng, lat]) => [lat, lng];
+        const featureStyle = { ...style, ...properties.style };
+        const { icon = '📦', color = '#2C6B94', weight, opacity, dashArray, fillColor = color, fillOpacity = 0.15 } = featureStyle;
+        const { popup = null, id, data = null, shape = null } = properties;
+        const group = properties.group ?? style.group;
+        // Figura de la barra de dibujo: conserva su tipo y, si el dibujo está activo, se puede editar
+        const drawn = (layer) => {
+            if (shape) {
+                layer.options.shape = shape;
+                this.#drawer?.track(layer, shape);
+            }
+            return layer;
+        };
+
+        switch (geometry.type) {
+            case 'Point': {
+                const [lat, lng] = toLatLng(geometry.coordinates);
+                if (properties.radius != null) {
+                    layers.circles.push(drawn(this.addCircle(lat, lng, properties.radius, {
+                        color, fillColor, fillOpacity, weight: weight ?? 2, popup, id, data, group,
+                    })));
+                } else {
+                    layers.markers.push(drawn(this.addMarker(lat, lng, properties.icon ?? icon, popup, { id, data, group })));
+                }
+                break;
+            }
+            case 'LineString':
+            case 'MultiLineString': {
+                const latlngs = geometry.type === 'LineString'
+                    ? geometry.coordinates.map(toLatLng)
+                    : geometry.coordinates.map(line => line.map(toLatLng));
+                const lineStyle = OpenStreetMap.#compact({ color, weight: weight ?? 5, opacity: opacity ?? 0.7, dashArray });
+                const polyline = this.#addLayer(L.polyline(latlngs, lineStyle), group);
+                if (popup) polyline.bindPopup(popup);
+
+                const lines = geometry.type === 'LineString' ? [latlngs] : latlngs;
+                const distance = properties.distance ?? lines.reduce((total, line) =>
+                    total + line.slice(1).reduce((sum, point, index) =>
+                        sum + OpenStreetMap.#haversineDistance(...line[index], ...point), 0), 0);
+                const duration = properties.duration ?? null;
+
+                this.#routeLayers.push({
+                    polylines: [polyline],
+                    markers: [],
+                    data: [{
+                        distance,
+                        distanceKm: properties.distanceKm ?? (distance / 1000).toFixed(2),
+                        duration,
+                        durationMin: properties.durationMin ?? (duration == null ? null : (duration / 60).toFixed(1)),
+                        type: properties.type ?? 'imported',
+                        legs: properties.legs ?? [],
+                    }],
+                });
+                layers.routes.push(drawn(polyline));
+                break;
+            }
+            case 'Polygon':
+            case 'MultiPolygon': {
+                // GeoJSON repite el primer vértice al final de cada anillo; Leaflet no lo necesita
+                const toRing = (ring) => ring.slice(0, -1).map(toLatLng);
+                const latlngs = geometry.type === 'Polygon'
+                    ? geometry.coordinates.map(toRing)
+                    : geometry.coordinates.map(polygon => polygon.map(toRing));
+                layers.polygons.push(drawn(this.addPolygon(latlngs, {
+                    color, fillColor, fillOpacity, weight: weight ?? 2, popup, id, data, group,
+                })));
+                break;
+            }
+            case 'MultiPoint':
+                geometry.coordinates.forEach(coordinates =>
+                    this.#addGeoJSONGeometry({ type: 'Point', coordinates }, { ...properties, id: undefined, shape: undefined }, style, layers));
+                break;
+            case 'GeometryCollection':
+                geometry.geometries.forEach(child => this.#addGeoJSONGeometry(child, { ...properties, id: undefined, shape: undefined }, style, layers));
+                break;
+            default:
+                console.warn(`OpenStreetMap: Geometría GeoJSON no soportada: ${geometry.type}`);
+        }
+    }
+
+    /** Dibuja un GeoJSON de GPX/KML y resume sus tracks (distancia, duración, tiempos). */
+    #loadTracks(geojson, styleOptions) {
+        const tracks = geojson.features
+            .filter(({ geometry }) => geometry.type.endsWith('LineString'))
+            .map(feature => {
+                const { geometry, properties } = feature;
+                const coordinates = (geometry.type === 'LineString' ? geometry.coordinates : geometry.coordinates.flat())
+                    .map(([lng, lat]) => [lat, lng]);
+                const times = properties.coordTimes?.map(time => Date.parse(time));
+                const validTimes = times?.length === coordinates.length && times.every(Number.isFinite) ? times : null;
+
+                const distance = coordinates.slice(1).reduce((total, point, index) =>
+                    total + OpenStreetMap.#haversineDistance(...coordinates[index], ...point), 0);
+                const duration = validTimes ? (validTimes[validTimes.length - 1] - validTimes[0]) / 1000 : null;
+
+                // Para que la ruta registrada (y toGeoJSON) conserve la duración del track
+                if (duration != null) feature.properties = { ...properties, duration };
+
+                return {
+                    name: properties.name ?? null,
+                    distance,
+                    distanceKm: (distance / 1000).toFixed(2),
+                    duration,
+                    durationMin: duration == null ? null : (duration / 60).toFixed(1),
+                    coordinates,
+                    times: validTimes,
+                };
+            });
+
+        const layers = this.loadGeoJSON(geojson, { icon: '📍', ...styleOptions });
+        tracks.forEach((track, index) => { track.polyline = layers.routes[index]; });
+
+        const distance = tracks.reduce((total, track) => total + track.distance, 0);
+        return { ...layers, tracks, distance, distanceKm: (distance / 1000).toFixed(2) };
+    }
+
+    /** Lee texto XML; devuelve null (y lo registra) si no se puede parsear. */
+    static #parseXml(source, format) {
+        const doc = typeof source === 'string' ? new DOMParser().parseFromString(source, 'application/xml') : source;
+        if (!doc || doc.getElementsByTagName('parsererror').length) {
+            console.error(`OpenStreetMap: ${format} inválido.`);
+            return null;
+        }
+        return doc;
+    }
+
+    /** Marcas de tiempo (ms) para recorrer coordinates a velocidad constante. */
+    static #syntheticTimes(coordinates, speedKmh) {
+        const speed = speedKmh / 3.6 / 1000; // metros por milisegundo
+        let time = 0;
+        return coordinates.map((point, index) => {
+            if (index > 0) time += OpenStreetMap.#haversineDistance(...coordinates[index - 1], ...point) / speed;
+            return time;
+        });
+    }
+
+    /** Formatea segundos como "h:mm:ss". */
+    static #formatClock(seconds) {
+        const total = Math.floor(seconds);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${Math.floor(total / 3600)}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+    }
+
+    /**
+     * Comprueba el punto seleccionado contra las zonas permitidas del selector.
+     * @returns {{insideZone: boolean, zones: Array}|null} null si no hay que validar.
+     */
+    #checkSelectorZones({ lat, lng }) {
+        const { outsideZone, allowedZones } = this.#selectorOptions;
+        if (!outsideZone || (this.#circles.size === 0 && this.#polygons.size === 0)) return null;
+
+        const zones = this.zonesContaining({ lat, lng }, allowedZones).map(zone => zone.options.id);
+        return { insideZone: zones.length > 0, zones };
+    }
+
+    /**
+     * Punto en polígono (ray casting) sobre lat/lng. Acepta la estructura de
+     * L.Polygon#getLatLngs(): anillos, con el primero como exterior y el resto como huecos,
+     * o una lista de polígonos.
+     */
+    static #polygonContains(latlngs, { lat, lng }) {
+        if (!Array.isArray(latlngs[0])) latlngs = [latlngs];
+        if (Array.isArray(latlngs[0][0])) return latlngs.some(polygon => OpenStreetMap.#polygonContains(polygon, { lat, lng }));
+
+        const inRing = (ring) => {
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i], b = ring[j];
+                if ((a.lat > lat) !== (b.lat > lat) && lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        };
+
+        const [outer, ...holes] = latlngs;
+        return inRing(outer) && !holes.some(inRing);
+    }
+
+    /** Registra una línea dibujada a mano como ruta (type 'drawn'). */
+    #addDrawnLine(latlngs, { color, weight }) {
+        const [polyline] = this.loadGeoJSON({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: latlngs.map(({ lat, lng }) => [lng, lat]) },
+            properties: { type: 'drawn' },
+        }, { color, weight, opacity: 0.9, fitBounds: false }).routes;
+
+        polyline.options.id = `route-${L.stamp(polyline)}`;
+        return polyline;
+    }
+
+    /** Recalcula la distancia de una ruta cuyos vértices cambiaron. */
+    #refreshRouteData(polyline) {
+        const entry = this.#routeLayers.find(({ polylines }) => polylines.includes(polyline));
+        const data = entry?.data?.[entry.polylines.indexOf(polyline)];
+        if (!data) return;
+
+        const latlngs = polyline.getLatLngs();
+        data.distance = latlngs.slice(1).reduce((total, point, index) =>
+            total + OpenStreetMap.#haversineDistance(latlngs[index].lat, latlngs[index].lng, point.lat, point.lng), 0);
+        data.distanceKm = (data.distance / 1000).toFixed(2);
+    }
+
+    /** Quita una ruta del mapa y del registro de rutas. */
+    #removeRouteLayer(polyline) {
+        const entry = this.#routeLayers.find(({ polylines }) => polylines.includes(polyline));
+        if (!entry) return;
+
+        const index = entry.polylines.indexOf(polyline);
+        entry.polylines.splice(index, 1);
+        entry.data?.splice(index, 1);
+        this.#removeLayer(polyline);
+        if (entry.polylines.length === 0) {
+            entry.markers.filter(Boolean).forEach(marker => this.removeMarker(marker.options.id));
+            this.#routeLayers.splice(this.#routeLayers.indexOf(entry), 1);
+        }
+    }
+
+    /** Capas registradas que salieron de la barra de dibujo (options.shape). */
+    #drawnLayers() {
+        return [
+            ...this.#markers.values(),
+            ...this.#circles.values(),
+            ...this.#polygons.values(),
+            ...this.#routeLayers.flatMap(({ polylines }) => polylines),
+        ].filter(layer => layer.options.shape);
+    }
+
+    /** Feature GeoJSON de una figura dibujada, con las properties que entiende loadGeoJSON. */
+    static #drawnFeature(type, layer) {
+        const kinds = { point: 'marker', polyline: 'route', circle: 'circle' };
+        const feature = layer.toGeoJSON();
+        feature.properties = {
+            kind: kinds[type] ?? 'polygon',
+            id: layer.options.id,
+            shape: type,
+            ...(type === 'circle' && { radius: layer.getRadius() }),
+        };
+        return feature;
+    }
+
+    /** Crea el divIcon de emoji/HTML que usan todos los marcadores del wrapper. */
+    static #buildIcon(icon) {
+        return L.divIcon({
+            html: icon,
+            className: 'map-custom-icon',
+            iconSize: [30, 30],
+            popupAnchor: [0, -30],
+        });
+    }
+
+    /** Desplaza el marcador hasta `to` interpolando linealmente durante `duration` ms. */
+    #animateMarker(marker, to, duration) {
+        this.#stopMarkerAnimation(marker);
+
+        const from = marker.getLatLng();
+        const start = performance.now();
+        const step = (now) => {
+            const progress = Math.min((now - start) / duration, 1);
+            marker.setLatLng([
+                from.lat + (to.lat - from.lat) * progress,
+                from.lng + (to.lng - from.lng) * progress,
+            ]);
+            if (progress < 1) {
+                this.#markerAnimations.set(marker, requestAnimationFrame(step));
+            } else {
+                this.#markerAnimations.delete(marker);
+            }
+        };
+        this.#markerAnimations.set(marker, requestAnimationFrame(step));
+    }
+
+    /** Cancela la animación en curso de un marcador, si la hay. */
+    #stopMarkerAnimation(marker) {
+        if (!this.#markerAnimations.has(marker)) return;
+
+        cancelAnimationFrame(this.#markerAnimations.get(marker));
+        this.#markerAnimations.delete(marker);
+    }
+
+    /** Avisa al usuario con config.notify, o con alert() si no se configuró. */
+    #notify(message, type) {
+        if (this.config.notify) this.config.notify(message, type);
+        else alert(message);
+    }
+
+    /** Guard clause: verifica que el mapa esté inicializado. */
+    #requireMap() {
+        if (!this.#map) {
+            console.warn('OpenStreetMap: El mapa no ha sido inicializado. Llama a initMap() primero.');
+            return false;
+        }
+        return true;
+    }
+
+    /** Crea el exportador de imágenes, o avisa si export.map.js no está cargado. */
+    #createExporter() {
+        if (!this.#requireMap()) return null;
+
+        if (typeof MapExporter === 'undefined') {
+            console.warn('OpenStreetMap: export.map.js no está cargado, no se puede exportar ni imprimir el mapa.');
+            return null;
+        }
+        return new MapExporter(this.#map);
+    }
+
+    /** Texto sin etiquetas de un popup HTML (DOMParser no ejecuta scripts ni carga imágenes). */
+    static #plainText(html) {
+        if (html == null || typeof html !== 'string') return null;
+        return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim() || null;
+    }
+
+    /** Guard clause: verifica que la caché de tiles esté activa (offlineTiles con offline.map.js). */
+    #requireTileCache() {
+        if (!this.#requireMap()) return false;
+
+        if (typeof CachedTileLayer === 'undefined' || !(this.#tileLayer instanceof CachedTileLayer)) {
+            console.warn('OpenStreetMap: La caché de tiles no está activa. Crea el mapa con { offlineTiles: true } y carga offline.map.js.');
+            return false;
+        }
+        return true;
+    }
+
+    /** Guard clause: verifica que el selector esté habilitado. */
+    #requireSelector() {
+        if (!this.#requireMap()) return false;
+        if (!this.#isSelectorEnabled) {
+            console.warn('OpenStreetMap: El selector no está habilitado. Llama a setupSelector() primero.');
+            return false;
+        }
+        return true;
+    }
+
+    /** Guard clause: verifica que el selector esté en modo multiple. */
+    #requireMultipleSelector() {
+        if (!this.#requireSelector()) return false;
+        if (!this.#selectorOptions.multiple) {
+            console.warn('OpenStreetMap: El selector no admite varios puntos. Llama a setupSelector(onSelect, { multiple: true }).');
             return false;
         }
         return true;
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load.js');
+
+const global = load('cluster.map.js');
+const L = global('L');
+const MarkerCluster = global('MarkerCluster');
+
+// getClusters solo usa project del mapa; requestAnimationFrame no hace nada en load.js,
+// así que el agrupador nunca llega a renderizar
+const map = {
+    on() {},
+    off() {},
+    project: (latlng, zoom) => L.CRS.EPSG3857.latLngToPoint(L.latLng(latlng), zoom),
+};
+const ZOOM = 10;
+const origin = map.project([10, -66], ZOOM);
+// Marcador a (dx, dy) píxeles del origen en el zoom de prueba
+const markerAt = (dx, dy) => L.marker(L.CRS.EPSG3857.pointToLatLng(origin.add([dx, dy]), ZOOM));
+// Array.from: los arreglos del contexto de load.js tienen otro prototipo y deepEqual los distingue
+const groups = (clusters) => Array.from(clusters, ({ markers }) => markers.length).sort((a, b) => a - b);
+
+test('cada marcador queda en un solo grupo', () => {
+    const markers = Array.from({ length: 200 }, (_, index) => markerAt((index * 37) % 500, (index * 53) % 400));
+
+    ['grid', 'distance'].forEach(mode => {
+        const cluster = new MarkerCluster(map, { mode }).addMarkers(markers);
+        [ZOOM - 2, ZOOM, ZOOM + 2].forEach(zoom => {
+            const grouped = cluster.getClusters(zoom).flatMap(({ markers }) => markers);
+            assert.equal(grouped.length, markers.length, `${mode} z${zoom}`);
+            assert.equal(new Set(grouped).size, markers.length, `${mode} z${zoom}`);
+        });
+    });
+});
+
+test('grid agrupa por celdas de radius píxeles', () => {
+    const cluster = new MarkerCluster(map, { mode: 'grid', radius: 60 });
+    const markers = [markerAt(0, 0), markerAt(5, 5), markerAt(500, 0)];
+    cluster.addMarkers(markers);
+
+    cluster.getClusters(ZOOM).forEach(({ markers: members }) => {
+        const cells = new Set(members.map(marker => {
+            const { x, y } = map.project(marker.getLatLng(), ZOOM);
+            return `${Math.floor(x / 60)}:${Math.floor(y / 60)}`;
+        }));
+        assert.equal(cells.size, 1);
+    });
+    // A 500 px el tercer marcador nunca comparte celda; al alejarse todo cabe en una
+    assert.ok(cluster.getClusters(ZOOM).some(({ markers: members }) => members.length === 1 && members[0] === markers[2]));
+    assert.deepEqual(groups(cluster.getClusters(ZOOM - 6)), [3]);
+});
+
+test('distance une los puntos a menos de radius del primer punto del grupo', () => {
+    const cluster = new MarkerCluster(map, { mode: 'distance', radius: 60 });
+    cluster.addMarkers([markerAt(0, 0), markerAt(50, 0), markerAt(100, 0), markerAt(0, 300)]);
+
+    // El de 100 px está a 50 px del segundo pero a 100 px de la semilla: va en otro grupo
+    assert.deepEqual(groups(cluster.getClusters(ZOOM)), [1, 1, 2]);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM + 3)), [1, 1, 1, 1]);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM - 4)), [4]);
+});
+
+test('los marcadores en el mismo punto se agrupan en cualquier zoom', () => {
+    ['grid', 'distance'].forEach(mode => {
+        const cluster = new MarkerCluster(map, { mode }).addMarkers([markerAt(10, 10), markerAt(10, 10)]);
+        assert.deepEqual(groups(cluster.getClusters(18)), [2], mode);
+    });
+});
+
+test('el centro del grupo es el promedio de sus marcadores', () => {
+    const cluster = new MarkerCluster(map).addMarkers([L.marker([10, -66]), L.marker([10.002, -66.004])]);
+    const [{ center }] = cluster.getClusters(ZOOM);
+    assert.ok(Math.abs(center.lat - 10.001) < 1e-9);
+    assert.ok(Math.abs(center.lng + 66.002) < 1e-9);
+});
+
+test('disableAtZoom muestra cada marcador por separado', () => {
+    const cluster = new MarkerCluster(map, { disableAtZoom: ZOOM }).addMarkers([markerAt(0, 0), markerAt(1, 1)]);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM - 1)), [2]);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM)), [1, 1]);
+});
+
+test('agregar o quitar marcadores recalcula los grupos', () => {
+    const first = markerAt(0, 0);
+    const cluster = new MarkerCluster(map).addMarkers([first]);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM)), [1]);
+
+    cluster.addMarkers([markerAt(1, 1)]);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM)), [2]);
+
+    cluster.removeMarker(first);
+    assert.deepEqual(groups(cluster.getClusters(ZOOM)), [1]);
+});
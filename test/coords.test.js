@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load.js');
+
+const Coordinates = load('coords.map.js')('Coordinates');
+
+const near = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} ≠ ${expected} (±${tolerance})`);
+
+// Lugares de referencia repartidos por hemisferios y zonas UTM
+const places = [
+    [10.4973, -66.9036],    // Caracas
+    [40.7128, -74.0060],    // Nueva York
+    [-33.8688, 151.2093],   // Sídney
+    [-34.6037, -58.3816],   // Buenos Aires
+    [64.1466, -21.9426],    // Reikiavik
+    [0, 0],
+];
+
+test('parse lee grados, minutos y segundos', () => {
+    const { lat, lng, format } = Coordinates.parse('10°29\'50.3"N 66°54\'13.0"W');
+    assert.equal(format, 'dms');
+    near(lat, 10.4973, 1e-4, 'lat');
+    near(lng, -66.9036, 1e-4, 'lng');
+});
+
+test('parse rechaza textos y coordenadas fuera de rango', () => {
+    assert.equal(Coordinates.parse('abc'), null);
+    assert.equal(Coordinates.parse('95, 10'), null);
+});
+
+test('toUTM coincide con valores conocidos', () => {
+    const utm = Coordinates.toUTM(0, 0);
+    assert.equal(utm.zone, 31);
+    assert.equal(utm.band, 'N');
+    near(utm.easting, 166021.44, 0.01, 'easting');
+    near(utm.northing, 0, 0.01, 'northing');
+
+    const newYork = Coordinates.toUTM(40.7128, -74.0060);
+    assert.equal(`${newYork.zone}${newYork.band}`, '18T');
+    near(newYork.easting, 583959.37, 0.01, 'easting');
+    near(newYork.northing, 4507350.99, 0.01, 'northing');
+
+    const sydney = Coordinates.toUTM(-33.8688, 151.2093);
+    assert.equal(`${sydney.zone}${sydney.band}`, '56H');
+    near(sydney.easting, 334368.63, 0.01, 'easting');
+    near(sydney.northing, 6250948.35, 0.01, 'northing');
+});
+
+test('toUTM aplica las excepciones de Noruega y Svalbard y el rango de latitudes', () => {
+    assert.equal(Coordinates.toUTM(60, 5).zone, 32);
+    assert.equal(Coordinates.toUTM(75, 10).zone, 33);
+    assert.equal(Coordinates.toUTM(85, 0), null);
+});
+
+test('UTM, MGRS y DMS vuelven a la coordenada original', () => {
+    places.forEach(([lat, lng]) => {
+        const { zone, band, easting, northing } = Coordinates.toUTM(lat, lng);
+        const fromUTM = Coordinates.fromUTM(zone, band, easting, northing);
+        near(fromUTM.lat, lat, 1e-7, `UTM lat ${lat}`);
+        near(fromUTM.lng, lng, 1e-7, `UTM lng ${lng}`);
+
+        // MGRS a 1 m trunca hacia abajo: el resultado queda a menos de ~1,5 m (≈ 1,5e-5°)
+        const fromMGRS = Coordinates.fromMGRS(Coordinates.toMGRS(lat, lng));
+        near(fromMGRS.lat, lat, 2e-5, `MGRS lat ${lat}`);
+        near(fromMGRS.lng, lng, 2e-5, `MGRS lng ${lng}`);
+
+        // DMS con un decimal en los segundos: ±0,05" ≈ 1,4e-5°
+        const fromDMS = Coordinates.parse(Coordinates.toDMS(lat, lng));
+        near(fromDMS.lat, lat, 2e-5, `DMS lat ${lat}`);
+        near(fromDMS.lng, lng, 2e-5, `DMS lng ${lng}`);
+    });
+});
+
+test('format devuelve todas las representaciones del punto', () => {
+    const formatted = Coordinates.format(10.4973, -66.9036);
+    assert.equal(formatted.dms, '10°29\'50.3"N 66°54\'13.0"W');
+    assert.equal(formatted.utm, '19P 729446 1161161');
+    assert.equal(formatted.mgrs, '19P GM 29446 61161');
+});
+
+test('plus codes: código de referencia, decodificación y códigos cortos', () => {
+    assert.equal(Coordinates.toPlusCode(47.365590, 8.524997), '8FVC9G8F+6X');
+    assert.equal(Coordinates.toPlusCode(47.365590, 8.524997, 11), '8FVC9G8F+6XQ');
+
+    // Se decodifica al centro de la celda
+    const center = Coordinates.fromPlusCode('8FVC9G8F+6X');
+    near(center.lat, 47.3655625, 1e-9, 'lat');
+    near(center.lng, 8.5249375, 1e-9, 'lng');
+
+    const short = Coordinates.fromPlusCode('9G8F+6X', { lat: 47.4, lng: 8.6 });
+    near(short.lat, center.lat, 1e-9, 'lat corta');
+    near(short.lng, center.lng, 1e-9, 'lng corta');
+
+    places.forEach(([lat, lng]) => {
+        const decoded = Coordinates.fromPlusCode(Coordinates.toPlusCode(lat, lng));
+        near(decoded.lat, lat, 1.25e-4, `plus code lat ${lat}`);
+        near(decoded.lng, lng, 1.25e-4, `plus code lng ${lng}`);
+    });
+});
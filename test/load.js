@@ -0,0 +1,33 @@
+// Carga los scripts del mapa (globales de navegador) en un contexto de Node para probar sus
+// partes que no dependen del DOM. A Leaflet le bastan unos pocos globales para definirse.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Ejecuta leaflet.js y los archivos indicados en un contexto aislado.
+ * @param {...string} files - Scripts de la raíz del repositorio, en orden de carga.
+ * @returns {Function} (name) => valor global del contexto (clases declaradas con `class`, L...).
+ */
+function load(...files) {
+    const element = () => ({ style: {}, setAttribute() {}, appendChild() {} });
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame: () => {},
+        navigator: { userAgent: '', platform: '' },
+        screen: {},
+        devicePixelRatio: 1,
+        document: { documentElement: { style: {} }, createElement: element, createElementNS: element },
+    });
+    context.window = context;
+
+    ['leaflet.js', ...files].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    });
+    return (name) => vm.runInContext(name, context);
+}
+
+module.exports = { load };
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load.js');
+
+const global = load('offline.map.js');
+const L = global('L');
+const CachedTileLayer = global('CachedTileLayer');
+
+// Crear la capa no abre IndexedDB: TileCache solo se conecta al leer o guardar
+const layer = new CachedTileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png');
+const tilesPerZoom = (bounds, minZoom, maxZoom) => Array.from({ length: maxZoom - minZoom + 1 },
+    (_, index) => layer.estimate(bounds, minZoom + index, minZoom + index).tiles);
+
+test('el mundo entero tiene 4^z tiles por zoom', () => {
+    const world = [[-85, -180], [85, 180]];
+    assert.deepEqual(tilesPerZoom(world, 0, 4), [1, 4, 16, 64, 256]);
+    assert.equal(layer.estimate(world, 0, 4).tiles, 1 + 4 + 16 + 64 + 256);
+});
+
+test('un área sobre la esquina de cuatro tiles cuenta los cuatro', () => {
+    // (0, 0) es esquina de tiles desde el zoom 1
+    const corner = [[-0.001, -0.001], [0.001, 0.001]];
+    assert.deepEqual(tilesPerZoom(corner, 0, 3), [1, 4, 4, 4]);
+});
+
+test('un área pequeña dentro de un tile cuenta uno por zoom', () => {
+    const caracas = L.latLngBounds([10.49, -66.91], [10.50, -66.90]);
+    assert.deepEqual(tilesPerZoom(caracas, 0, 8), [1, 1, 1, 1, 1, 1, 1, 1, 1]);
+    assert.equal(layer.estimate(caracas, 0, 8).tiles, 9);
+});
+
+test('los límites fuera del mundo no agregan tiles', () => {
+    assert.equal(layer.estimate([[-90, -360], [90, 360]], 2, 2).tiles, 16);
+});
+
+test('los bytes estimados usan el tamaño promedio de un tile', () => {
+    const { tiles, bytes } = layer.estimate([[10, -67], [11, -66]], 5, 12);
+    assert.ok(tiles > 8);
+    assert.equal(bytes, tiles * CachedTileLayer.AVERAGE_TILE_BYTES);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load.js');
+
+const OpenStreetMap = load('openStreetMap.js')('OpenStreetMap');
+
+// Matriz de distancias entre posiciones sobre una recta; la primera es el depósito
+const lineMatrix = (positions) => positions.map(a => positions.map(b => Math.abs(a - b)));
+const tourCost = (costs, order, roundTrip) => {
+    const stops = roundTrip ? [0, ...order, 0] : [0, ...order];
+    return stops.slice(1).reduce((total, stop, index) => total + costs[stops[index]][stop], 0);
+};
+// Generador determinista para que los casos aleatorios se repitan igual en cada corrida
+const random = (seed) => () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+test('visita en orden los puntos alineados desde el depósito', () => {
+    const costs = lineMatrix([0, 30, 10, 20, 40]);
+    assert.deepEqual([...OpenStreetMap.optimizeOrder(costs)], [2, 3, 1, 4]);
+});
+
+test('con roundTrip cuenta la vuelta al depósito', () => {
+    // Sin vuelta conviene terminar lejos; con vuelta da igual el sentido del recorrido
+    const costs = lineMatrix([0, -10, 20]);
+    assert.deepEqual([...OpenStreetMap.optimizeOrder(costs)], [1, 2]);
+    assert.equal(tourCost(costs, [...OpenStreetMap.optimizeOrder(costs, true)], true), 60);
+});
+
+test('respeta el sentido de una matriz asimétrica', () => {
+    // Ir 1 → 2 es barato pero 2 → 1 es caro: el orden debe ser 1, 2
+    const costs = [
+        [0, 5, 5],
+        [5, 0, 1],
+        [5, 9, 0],
+    ];
+    assert.deepEqual([...OpenStreetMap.optimizeOrder(costs)], [1, 2]);
+});
+
+test('devuelve una permutación sin inversiones 2-opt que mejoren el costo', () => {
+    const next = random(42);
+    for (let run = 0; run < 20; run++) {
+        const size = 3 + Math.floor(next() * 8);
+        const costs = Array.from({ length: size }, (_, i) =>
+            Array.from({ length: size }, (_, j) => (i === j ? 0 : Math.round(next() * 100))));
+
+        // Vecino más cercano, como punto de partida del 2-opt
+        const pending = new Set(Array.from({ length: size - 1 }, (_, index) => index + 1));
+        const greedy = [];
+        let last = 0;
+        while (pending.size) {
+            last = [...pending].reduce((best, candidate) => (costs[last][candidate] < costs[last][best] ? candidate : best));
+            greedy.push(last);
+            pending.delete(last);
+        }
+
+        for (const roundTrip of [false, true]) {
+            const order = [...OpenStreetMap.optimizeOrder(costs, roundTrip)];
+            assert.deepEqual([...order].sort((a, b) => a - b), greedy.slice().sort((a, b) => a - b));
+            const total = tourCost(costs, order, roundTrip);
+            assert.ok(total <= tourCost(costs, greedy, roundTrip));
+
+            for (let i = 0; i < order.length - 1; i++) {
+                for (let k = i + 1; k < order.length; k++) {
+                    const reversed = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+                    assert.ok(tourCost(costs, reversed, roundTrip) >= total - 1e-9, `${reversed} mejora a ${order}`);
+                }
+            }
+        }
+    }
+});
+
+test('un solo destino o ninguno', () => {
+    assert.deepEqual([...OpenStreetMap.optimizeOrder([[0, 4], [4, 0]])], [1]);
+    assert.deepEqual([...OpenStreetMap.optimizeOrder([[0]])], []);
+});
@@ -0,0 +1,343 @@
+/**
+ * Seguimiento en vivo para OpenStreetMap: se suscribe a una fuente de posiciones (WebSocket,
+ * función de polling o iterador asíncrono), desplaza cada vehículo con una animación suave entre
+ * actualizaciones, dibuja su rastro reciente desvaneciéndose, marca como inactivos los que dejan
+ * de reportar y puede seguir a uno con la cámara. Los marcadores se actualizan sin recrearse,
+ * así los popups abiertos se conservan.
+ *
+ * Lo usa OpenStreetMap.track(); no es necesario instanciarlo a mano.
+ *
+ * Cada posición es { id, lat, lng, icon?, popup?, data? }. La fuente puede entregar una posición
+ * o un arreglo; options.parse convierte mensajes con otra forma.
+ *
+ * @example
+ * const tracker = map.track('wss://flota.miempresa.com/posiciones', { staleAfter: 60000 });
+ * tracker.follow('moto-12');
+ *
+ * // Sin servidor: feed simulado
+ * map.track(LiveTracker.mockFeed({ vehicles: 5, center: [10.48, -66.90] }));
+ */
+class LiveTracker {
+    static DEFAULTS = {
+        interval: 5000,         // ms entre llamadas cuando la fuente es una función (polling)
+        parse: null,            // (mensaje) => posición | posición[]; por defecto JSON tal cual
+        animate: true,          // desplazar suavemente hasta cada nueva posición
+        maxAnimation: 5000,     // ms máximos de animación (se usa el tiempo entre actualizaciones)
+        trail: true,            // dibujar el rastro de posiciones recientes
+        trailLength: 20,        // cantidad de tramos del rastro; los más viejos se desvanecen
+        trailStyle: { color: '#2C6B94', weight: 3, opacity: 0.8 },
+        staleAfter: 30000,      // ms sin reportar para marcar el vehículo como inactivo
+        removeAfter: null,      // ms sin reportar para quitarlo del mapa (null = nunca)
+        reconnectDelay: 3000,   // ms para reconectar el WebSocket si se cierra
+    };
+
+    // ── Estado interno ─────────────────────────────────
+    #map = null;
+    #hooks = null;
+    #entities = new Map();
+    #following = null;
+    #running = false;
+    #socket = null;
+    #iterator = null;
+    #pollTimer = null;
+    #reconnectTimer = null;
+    #staleTimer = null;
+
+    /**
+     * @param {L.Map}  map    - Mapa Leaflet donde se dibujan los rastros.
+     * @param {string|Function|AsyncIterable|null} source - URL ws(s)://, función (sin argumentos) que devuelve
+     *   (una promesa de) posición(es), o iterador asíncrono. null para alimentar solo con push().
+     * @param {Object} hooks  - { create(position) => marker, move(marker, position, duration) => marker | null,
+     *   remove(marker), event?(name, payload) }. move devuelve null si el marcador ya no existe (se vuelve a crear).
+     * @param {Object} [options] - Ver LiveTracker.DEFAULTS.
+     */
+    constructor(map, source, hooks, options = {}) {
+        this.#map = map;
+        this.#hooks = hooks;
+        this.options = { ...LiveTracker.DEFAULTS, ...options };
+
+        this.#map.on('dragstart', this.#handleDragStart, this);
+        this.#staleTimer = setInterval(() => this.#checkStale(), 1000);
+
+        this.#running = true;
+        if (source != null) this.#connect(source);
+    }
+
+    /**
+     * Indica si la fuente sigue conectada.
+     * @returns {boolean}
+     */
+    get running() {
+        return this.#running;
+    }
+
+    /**
+     * Id del vehículo que sigue la cámara (null si ninguno).
+     * @returns {string|number|null}
+     */
+    get following() {
+        return this.#following;
+    }
+
+    /**
+     * Estado de los vehículos seguidos.
+     * @returns {Array<{id, lat, lng, data, lastSeen: number, stale: boolean, marker: L.Marker}>}
+     */
+    get entities() {
+        return [...this.#entities.values()].map(({ id, latlng, data, lastSeen, stale, marker }) =>
+            ({ id, lat: latlng.lat, lng: latlng.lng, data, lastSeen, stale, marker }));
+    }
+
+    /**
+     * Aplica una o varias posiciones (además de las que llegan de la fuente).
+     * @param {Object|Object[]} positions - { id, lat, lng, icon?, popup?, data? }.
+     * @returns {this}
+     */
+    push(positions) {
+        (Array.isArray(positions) ? positions : [positions]).forEach(position => this.#update(position));
+        return this;
+    }
+
+    /**
+     * Centra la cámara en un vehículo en cada actualización. Arrastrar el mapa deja de seguirlo.
+     * @param {string|number|null} id - null para dejar de seguir.
+     * @returns {this}
+     */
+    follow(id) {
+        this.#following = id;
+
+        const entity = this.#entities.get(id);
+        if (entity) this.#map.panTo(entity.latlng);
+        return this;
+    }
+
+    /**
+     * Quita un vehículo del mapa (vuelve a aparecer si la fuente lo reporta de nuevo).
+     * @param {string|number} id
+     * @returns {this}
+     */
+    remove(id) {
+        const entity = this.#entities.get(id);
+        if (!entity) return this;
+
+        entity.trail.forEach(segment => this.#map.removeLayer(segment));
+        this.#hooks.remove(entity.marker);
+        this.#entities.delete(id);
+        if (this.#following === id) this.#following = null;
+        return this;
+    }
+
+    /**
+     * Desconecta la fuente. Los vehículos quedan en el mapa (y se marcan inactivos con el tiempo).
+     * @returns {this}
+     */
+    stop() {
+        this.#running = false;
+        clearTimeout(this.#pollTimer);
+        clearTimeout(this.#reconnectTimer);
+        this.#socket?.close();
+        this.#socket = null;
+        this.#iterator?.return?.();
+        this.#iterator = null;
+        return this;
+    }
+
+    /**
+     * Desconecta la fuente y quita vehículos y rastros del mapa.
+     */
+    destroy() {
+        this.stop();
+        clearInterval(this.#staleTimer);
+        [...this.#entities.keys()].forEach(id => this.remove(id));
+        this.#map.off('dragstart', this.#handleDragStart, this);
+    }
+
+    // ── Fuentes ────────────────────────────────────────
+
+    #connect(source) {
+        if (typeof source === 'string') this.#connectSocket(source);
+        else if (typeof source === 'function') this.#poll(source);
+        else if (source[Symbol.asyncIterator]) this.#consume(source[Symbol.asyncIterator]());
+        else console.error('OpenStreetMap: Fuente de seguimiento no soportada:', source);
+    }
+
+    /** WebSocket con reconexión automática mientras el seguimiento esté activo. */
+    #connectSocket(url) {
+        const socket = new WebSocket(url);
+        socket.onmessage = (e) => this.#receive(e.data);
+        socket.onerror = () => this.#hooks.event?.('error', { error: new Error(`No se pudo conectar a ${url}`) });
+        socket.onclose = () => {
+            if (!this.#running || this.#socket !== socket) return;
+            this.#reconnectTimer = setTimeout(() => this.#connectSocket(url), this.options.reconnectDelay);
+        };
+        this.#socket = socket;
+    }
+
+    /** Llama a la función cada options.interval ms; un error no detiene el polling. */
+    async #poll(fetchPositions) {
+        try {
+            this.#receive(await fetchPositions());
+        } catch (error) {
+            this.#hooks.event?.('error', { error });
+        }
+
+        if (this.#running) this.#pollTimer = setTimeout(() => this.#poll(fetchPositions), this.options.interval);
+    }
+
+    async #consume(iterator) {
+        this.#iterator = iterator;
+        try {
+            while (this.#running) {
+                const { value, done } = await iterator.next();
+                if (done || !this.#running) break;
+                this.#receive(value);
+            }
+        } catch (error) {
+            this.#hooks.event?.('error', { error });
+        }
+    }
+
+    #receive(message) {
+        if (!this.#running || message == null) return;
+
+        try {
+            const { parse } = this.options;
+            const data = typeof message === 'string' && !parse ? JSON.parse(message) : message;
+            this.push(parse ? parse(data) : data);
+        } catch (error) {
+            console.warn('OpenStreetMap: Mensaje de seguimiento inválido:', message, error);
+        }
+    }
+
+    // ── Vehículos ──────────────────────────────────────
+
+    #update(position) {
+        const { id, lat, lng } = position ?? {};
+        if (id == null || !Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+            console.warn('OpenStreetMap: Posición sin id, lat o lng:', position);
+            return;
+        }
+
+        const latlng = L.latLng(Number(lat), Number(lng));
+        const now = Date.now();
+        let entity = this.#entities.get(id);
+
+        if (!entity) {
+            entity = { id, latlng, data: null, lastSeen: now, stale: false, trail: [], marker: this.#hooks.create(position) };
+            this.#entities.set(id, entity);
+        } else {
+            // La animación dura lo que tardó en llegar la actualización: el vehículo no se detiene entre reportes
+            const duration = this.options.animate ? Math.min(now - entity.lastSeen, this.options.maxAnimation) : 0;
+            if (this.options.trail) this.#extendTrail(entity, latlng);
+            entity.marker = this.#hooks.move(entity.marker, position, duration) ?? this.#hooks.create(position);
+            entity.latlng = latlng;
+            entity.lastSeen = now;
+        }
+
+        entity.data = position.data ?? entity.data;
+        if (entity.stale) this.#setStale(entity, false);
+        if (this.#following === id) this.#map.panTo(latlng);
+
+        this.#hooks.event?.('update', { id, lat: latlng.lat, lng: latlng.lng, data: entity.data });
+    }
+
+    /** Agrega un tramo al rastro y desvanece los anteriores según su antigüedad. */
+    #extendTrail(entity, latlng) {
+        const { trailLength, trailStyle } = this.options;
+        entity.trail.push(L.polyline([entity.latlng, latlng], { ...trailStyle, interactive: false }).addTo(this.#map));
+
+        while (entity.trail.length > trailLength) {
+            this.#map.removeLayer(entity.trail.shift());
+        }
+        entity.trail.forEach((segment, index) => {
+            segment.setStyle({ opacity: (trailStyle.opacity ?? 1) * ((index + 1) / entity.trail.length) });
+        });
+    }
+
+    #checkStale() {
+        const { staleAfter, removeAfter } = this.options;
+        const now = Date.now();
+
+        this.#entities.forEach(entity => {
+            const silence = now - entity.lastSeen;
+            if (removeAfter != null && silence >= removeAfter) this.remove(entity.id);
+            else if (!entity.stale && staleAfter != null && silence >= staleAfter) this.#setStale(entity, true);
+        });
+    }
+
+    /** Atenúa el marcador inactivo (clase map-tracking-stale para estilos propios). */
+    #setStale(entity, stale) {
+        entity.stale = stale;
+        entity.marker.setOpacity(stale ? 0.4 : 1);
+        entity.marker.getElement()?.classList.toggle('map-tracking-stale', stale);
+        entity.trail.forEach(segment => segment.getElement()?.classList.toggle('map-tracking-stale', stale));
+
+        if (stale) {
+            const { id, latlng, lastSeen } = entity;
+            this.#hooks.event?.('stale', { id, lat: latlng.lat, lng: latlng.lng, lastSeen });
+        }
+    }
+
+    #handleDragStart() {
+        this.#following = null;
+    }
+
+    // ── Feed simulado ──────────────────────────────────
+
+    /**
+     * Feed local para pruebas y demos: vehículos que se desplazan al azar alrededor de un centro.
+     * Se pasa como fuente a OpenStreetMap.track() o a new LiveTracker().
+     * @param {Object} [options]
+     * @param {number}   [options.vehicles=3]     - Cantidad de vehículos.
+     * @param {Array}    [options.center]         - [lat, lng] alrededor del cual se mueven.
+     * @param {number}   [options.radius=2000]    - Metros máximos desde el centro.
+     * @param {number}   [options.speedKmh=30]    - Velocidad de los vehículos.
+     * @param {number}   [options.interval=2000]  - ms entre actualizaciones.
+     * @param {number}   [options.updates=Infinity] - Cantidad de actualizaciones antes de terminar.
+     * @param {string}   [options.idPrefix='mock-'] - Los ids son idPrefix + número (1, 2, ...).
+     * @returns {AsyncGenerator<Object[]>} Cada valor es el arreglo de posiciones de una actualización.
+     */
+    static async *mockFeed(options = {}) {
+        const {
+            vehicles = 3,
+            center = [10.4806, -66.9036],
+            radius = 2000,
+            speedKmh = 30,
+            interval = 2000,
+            updates = Infinity,
+            idPrefix = 'mock-',
+        } = options;
+
+        const metersPerDegree = 111320;
+        const [centerLat, centerLng] = center;
+        const fleet = Array.from({ length: vehicles }, (_, index) => ({
+            id: `${idPrefix}${index + 1}`,
+            lat: centerLat + ((Math.random() - 0.5) * radius) / metersPerDegree,
+            lng: centerLng + ((Math.random() - 0.5) * radius) / metersPerDegree,
+            heading: Math.random() * 2 * Math.PI,
+        }));
+
+        for (let update = 0; update < updates; update++) {
+            if (update > 0) await new Promise(resolve => setTimeout(resolve, interval));
+
+            const step = (speedKmh / 3.6) * (interval / 1000);
+            fleet.forEach(vehicle => {
+                vehicle.heading += (Math.random() - 0.5) * 0.8;
+                // Si se aleja demasiado, gira de vuelta hacia el centro
+                const dLat = (vehicle.lat - centerLat) * metersPerDegree;
+                const dLng = (vehicle.lng - centerLng) * metersPerDegree * Math.cos((centerLat * Math.PI) / 180);
+                if (Math.hypot(dLat, dLng) > radius) vehicle.heading = Math.atan2(-dLng, -dLat);
+
+                vehicle.lat += (step * Math.cos(vehicle.heading)) / metersPerDegree;
+                vehicle.lng += (step * Math.sin(vehicle.heading)) / (metersPerDegree * Math.cos((vehicle.lat * Math.PI) / 180));
+            });
+
+            yield fleet.map(({ id, lat, lng, heading }) => ({
+                id,
+                lat,
+                lng,
+                data: { heading: Math.round(((heading * 180) / Math.PI % 360 + 360) % 360), speedKmh },
+            }));
+        }
+    }
+}